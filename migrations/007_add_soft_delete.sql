@@ -0,0 +1,15 @@
+-- Migration 007: Add soft delete tombstones
+-- Deleted rows keep their data and relationships so they can be restored from the trash
+
+ALTER TABLE projects ADD COLUMN deleted_at DATETIME;
+ALTER TABLE tasks ADD COLUMN deleted_at DATETIME;
+ALTER TABLE decisions ADD COLUMN deleted_at DATETIME;
+ALTER TABLE blockers ADD COLUMN deleted_at DATETIME;
+ALTER TABLE file_mappings ADD COLUMN deleted_at DATETIME;
+
+-- Indexes for filtering out tombstoned rows
+CREATE INDEX IF NOT EXISTS idx_projects_deleted ON projects (deleted_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted ON tasks (deleted_at);
+CREATE INDEX IF NOT EXISTS idx_decisions_deleted ON decisions (deleted_at);
+CREATE INDEX IF NOT EXISTS idx_blockers_deleted ON blockers (deleted_at);
+CREATE INDEX IF NOT EXISTS idx_file_mappings_deleted ON file_mappings (deleted_at);
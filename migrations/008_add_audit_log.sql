@@ -0,0 +1,27 @@
+-- Migration 008: Add append-only audit log
+-- Records every mutation with before/after row snapshots, a field-level diff and the actor
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  project_id TEXT,
+  entity_type TEXT NOT NULL, -- 'project', 'task', 'task_dependency', 'decision', 'blocker', 'blocker_impact', 'file_mapping'
+  entity_id TEXT NOT NULL,
+  action TEXT NOT NULL, -- 'create', 'update', 'complete', 'resolve', 'supersede', 'delete', 'restore', 'purge', 'fork', 'merge'
+  before_data JSON, -- Full row snapshot before the change (NULL for creates)
+  after_data JSON, -- Full row snapshot after the change (NULL for hard deletes)
+  changes JSON DEFAULT '{}', -- { field: { from, to } }
+  actor TEXT DEFAULT 'agent',
+  created_at TEXT NOT NULL
+);
+
+-- Indexes for timelines
+CREATE INDEX IF NOT EXISTS idx_audit_log_project ON audit_log (project_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at);
+
+-- Entries are never rewritten or removed
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
@@ -0,0 +1,7 @@
+-- Migration 009: Group audit log entries into operations for undo/redo
+-- Entries written by one tool call share an operation_id; undo/redo entries point at the operation they revert
+
+ALTER TABLE audit_log ADD COLUMN operation_id TEXT;
+ALTER TABLE audit_log ADD COLUMN undo_of TEXT; -- operation_id reverted ('undo') or re-applied ('redo')
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_operation ON audit_log (operation_id);
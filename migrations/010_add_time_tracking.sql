@@ -0,0 +1,18 @@
+-- Migration 010: Add effort units and time logging for tasks
+-- estimated_effort holds a number in effort_unit; actual_effort is hours summed from task_time_logs
+
+ALTER TABLE tasks ADD COLUMN effort_unit TEXT DEFAULT 'hours'; -- 'hours', 'points'
+
+-- One row per in-progress interval, opened when a task enters in-progress and closed when it leaves
+CREATE TABLE IF NOT EXISTS task_time_logs (
+  id TEXT PRIMARY KEY,
+  task_id TEXT NOT NULL,
+  started_at TEXT NOT NULL,
+  ended_at TEXT, -- NULL while the interval is open
+  duration_hours REAL,
+  actor TEXT DEFAULT 'agent',
+  FOREIGN KEY (task_id) REFERENCES tasks (id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_time_logs_task ON task_time_logs (task_id);
+CREATE INDEX IF NOT EXISTS idx_task_time_logs_open ON task_time_logs (task_id, ended_at);
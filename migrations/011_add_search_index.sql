@@ -0,0 +1,121 @@
+-- Migration 011: Add a full-text search index over tasks, decisions, blockers and file mappings
+-- One FTS5 table so hits from every entity type rank against each other; the UNINDEXED
+-- columns are only used for project scoping and the type:/status: facets
+
+CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+  entity_type UNINDEXED, -- 'task', 'decision', 'blocker', 'file_mapping'
+  entity_id UNINDEXED,
+  project_id UNINDEXED,
+  status UNINDEXED, -- NULL for file mappings
+  title,
+  body,
+  tokenize = 'porter unicode61'
+);
+
+-- Triggers keep the index in sync; soft-deleted rows drop out and come back on restore
+
+CREATE TRIGGER IF NOT EXISTS tasks_search_insert AFTER INSERT ON tasks BEGIN
+  INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+  SELECT 'task', NEW.id, NEW.project_id, NEW.status, NEW.title,
+         coalesce(NEW.description, '') || ' ' || coalesce(NEW.notes, '') || ' ' || coalesce(NEW.assignee, '')
+  WHERE NEW.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_search_update AFTER UPDATE ON tasks BEGIN
+  DELETE FROM search_index WHERE entity_type = 'task' AND entity_id = OLD.id;
+  INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+  SELECT 'task', NEW.id, NEW.project_id, NEW.status, NEW.title,
+         coalesce(NEW.description, '') || ' ' || coalesce(NEW.notes, '') || ' ' || coalesce(NEW.assignee, '')
+  WHERE NEW.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_search_delete AFTER DELETE ON tasks BEGIN
+  DELETE FROM search_index WHERE entity_type = 'task' AND entity_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS decisions_search_insert AFTER INSERT ON decisions BEGIN
+  INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+  SELECT 'decision', NEW.id, NEW.project_id, NEW.status, NEW.title,
+         NEW.description || ' ' || coalesce(NEW.rationale, '') || ' ' || coalesce(NEW.context, '') || ' ' ||
+         coalesce(NEW.alternatives_considered, '') || ' ' || coalesce(NEW.impacts, '')
+  WHERE NEW.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS decisions_search_update AFTER UPDATE ON decisions BEGIN
+  DELETE FROM search_index WHERE entity_type = 'decision' AND entity_id = OLD.id;
+  INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+  SELECT 'decision', NEW.id, NEW.project_id, NEW.status, NEW.title,
+         NEW.description || ' ' || coalesce(NEW.rationale, '') || ' ' || coalesce(NEW.context, '') || ' ' ||
+         coalesce(NEW.alternatives_considered, '') || ' ' || coalesce(NEW.impacts, '')
+  WHERE NEW.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS decisions_search_delete AFTER DELETE ON decisions BEGIN
+  DELETE FROM search_index WHERE entity_type = 'decision' AND entity_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS blockers_search_insert AFTER INSERT ON blockers BEGIN
+  INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+  SELECT 'blocker', NEW.id, NEW.project_id, NEW.status, NEW.title,
+         coalesce(NEW.description, '') || ' ' || coalesce(NEW.resolution_notes, '') || ' ' ||
+         coalesce(NEW.owner, '') || ' ' || coalesce(NEW.external_ref, '')
+  WHERE NEW.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS blockers_search_update AFTER UPDATE ON blockers BEGIN
+  DELETE FROM search_index WHERE entity_type = 'blocker' AND entity_id = OLD.id;
+  INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+  SELECT 'blocker', NEW.id, NEW.project_id, NEW.status, NEW.title,
+         coalesce(NEW.description, '') || ' ' || coalesce(NEW.resolution_notes, '') || ' ' ||
+         coalesce(NEW.owner, '') || ' ' || coalesce(NEW.external_ref, '')
+  WHERE NEW.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS blockers_search_delete AFTER DELETE ON blockers BEGIN
+  DELETE FROM search_index WHERE entity_type = 'blocker' AND entity_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS file_mappings_search_insert AFTER INSERT ON file_mappings BEGIN
+  INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+  SELECT 'file_mapping', NEW.id, NEW.project_id, NULL, NEW.file_path,
+         coalesce(NEW.purpose, '') || ' ' || coalesce(NEW.analysis_summary, '') || ' ' ||
+         coalesce(NEW.notes, '') || ' ' || coalesce(NEW.key_functions, '')
+  WHERE NEW.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS file_mappings_search_update AFTER UPDATE ON file_mappings BEGIN
+  DELETE FROM search_index WHERE entity_type = 'file_mapping' AND entity_id = OLD.id;
+  INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+  SELECT 'file_mapping', NEW.id, NEW.project_id, NULL, NEW.file_path,
+         coalesce(NEW.purpose, '') || ' ' || coalesce(NEW.analysis_summary, '') || ' ' ||
+         coalesce(NEW.notes, '') || ' ' || coalesce(NEW.key_functions, '')
+  WHERE NEW.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS file_mappings_search_delete AFTER DELETE ON file_mappings BEGIN
+  DELETE FROM search_index WHERE entity_type = 'file_mapping' AND entity_id = OLD.id;
+END;
+
+-- Backfill rows that existed before the index
+INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+SELECT 'task', id, project_id, status, title,
+       coalesce(description, '') || ' ' || coalesce(notes, '') || ' ' || coalesce(assignee, '')
+FROM tasks WHERE deleted_at IS NULL;
+
+INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+SELECT 'decision', id, project_id, status, title,
+       description || ' ' || coalesce(rationale, '') || ' ' || coalesce(context, '') || ' ' ||
+       coalesce(alternatives_considered, '') || ' ' || coalesce(impacts, '')
+FROM decisions WHERE deleted_at IS NULL;
+
+INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+SELECT 'blocker', id, project_id, status, title,
+       coalesce(description, '') || ' ' || coalesce(resolution_notes, '') || ' ' ||
+       coalesce(owner, '') || ' ' || coalesce(external_ref, '')
+FROM blockers WHERE deleted_at IS NULL;
+
+INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+SELECT 'file_mapping', id, project_id, NULL, file_path,
+       coalesce(purpose, '') || ' ' || coalesce(analysis_summary, '') || ' ' ||
+       coalesce(notes, '') || ' ' || coalesce(key_functions, '')
+FROM file_mappings WHERE deleted_at IS NULL;
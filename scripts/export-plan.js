@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+import { execSync } from 'child_process';
+import { resolve } from 'path';
+import { Database } from '../src/database.js';
+
+// Usage: node scripts/export-plan.js [project_path] [--out <dir>] [--branch <name>]
+function parseArgs(argv) {
+  const options = { projectPath: process.cwd(), outputDir: null, branch: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      options.outputDir = resolve(argv[++i]);
+    } else if (argv[i] === '--branch') {
+      options.branch = argv[++i];
+    } else {
+      options.projectPath = resolve(argv[i]);
+    }
+  }
+
+  return options;
+}
+
+function detectGitBranch(projectPath) {
+  try {
+    return execSync('git branch --show-current', { cwd: projectPath, stdio: ['ignore', 'pipe', 'ignore'] })
+      .toString().trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+async function exportPlan() {
+  const options = parseArgs(process.argv.slice(2));
+  const branch = options.branch || detectGitBranch(options.projectPath);
+  const db = new Database();
+
+  console.log('📤 Exporting plan');
+  console.log('📁 Project:', options.projectPath);
+  console.log('🌿 Branch:', branch || '(most recent active project)');
+
+  try {
+    const result = await db.exportPlan(options.projectPath, { branch, output_dir: options.outputDir });
+
+    console.log(`\n✅ Wrote ${result.written.length} files to ${result.output_dir}`);
+    result.written.forEach(path => console.log(`  ✏️ ${path}`));
+    result.removed.forEach(path => console.log(`  🗑️ ${path}`));
+    if (result.unchanged.length > 0) {
+      console.log(`  ${result.unchanged.length} files unchanged`);
+    }
+  } catch (error) {
+    console.error('❌ Export failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+exportPlan();
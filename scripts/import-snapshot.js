@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+import { resolve } from 'path';
+import { Database } from '../src/database.js';
+
+// Usage: node scripts/import-snapshot.js [project_path] [--from <dir or snapshot.json>] [--dry-run]
+function parseArgs(argv) {
+  const options = { projectPath: process.cwd(), source: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') {
+      options.source = resolve(argv[++i]);
+    } else if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      options.projectPath = resolve(argv[i]);
+    }
+  }
+
+  return options;
+}
+
+async function importSnapshot() {
+  const options = parseArgs(process.argv.slice(2));
+  const db = new Database();
+
+  console.log('📥 Importing plan snapshot');
+  console.log('📁 Project:', options.projectPath);
+
+  try {
+    const result = await db.importSnapshot(options.projectPath, { source: options.source, dry_run: options.dryRun });
+
+    console.log(`\n${result.dry_run ? '🔍 Would import' : '✅ Imported'} project ${result.project_id}`);
+    console.log(`  ➕ ${result.created.length} created`);
+    console.log(`  ✏️ ${result.updated.length} updated`);
+    console.log(`  • ${result.unchanged} unchanged`);
+    result.conflicts.forEach(conflict => {
+      console.log(`  ⚠️ Conflict in ${conflict.table} ${conflict.title || conflict.id}: local ${conflict.local_updated_at}, snapshot ${conflict.snapshot_updated_at}`);
+    });
+    if (result.conflicts.length > 0) {
+      process.exitCode = 2;
+    }
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+importSnapshot();
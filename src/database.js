@@ -1,13 +1,249 @@
 import sqlite3 from 'sqlite3';
+import { EventEmitter } from 'events';
 import { promisify } from 'util';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-export class Database {
+// Entity types that are soft deleted, mapped to their tables
+const TRASHABLE_TABLES = {
+  project: 'projects',
+  task: 'tasks',
+  decision: 'decisions',
+  blocker: 'blockers',
+  file_mapping: 'file_mappings'
+};
+
+// Audited entity types that undo/redo can revert, mapped to their tables
+const UNDOABLE_TABLES = {
+  task: 'tasks',
+  task_dependency: 'task_dependencies',
+  decision: 'decisions',
+  blocker: 'blockers',
+  blocker_impact: 'blocker_impacts',
+  file_mapping: 'file_mappings',
+  task_time_log: 'task_time_logs',
+  context_data: 'context_data'
+};
+
+// Project-level actions that undo/redo can still revert; the rest are a hard stop
+const UNDOABLE_PROJECT_ACTIONS = ['merge'];
+
+// Tables whose rows a branch merge moves to the target project, mapped to their audit entity types
+const MERGED_TABLES = {
+  tasks: 'task',
+  decisions: 'decision',
+  blockers: 'blocker',
+  file_mappings: 'file_mapping',
+  task_dependencies: 'task_dependency',
+  context_data: 'context_data'
+};
+
+// Entity types recorded in the audit log
+const AUDIT_ENTITY_TYPES = [
+  'project', 'task', 'task_dependency', 'decision', 'blocker', 'blocker_impact', 'file_mapping', 'task_time_log',
+  'context_data'
+];
+
+// Columns stored as JSON text, parsed when rows are returned as structured data
+const JSON_COLUMNS = {
+  projects: ['metadata'],
+  context_data: ['content'],
+  tasks: ['tags'],
+  decisions: ['alternatives_considered', 'impacts', 'tags'],
+  file_mappings: ['key_functions', 'dependencies', 'dependents'],
+  audit_log: ['before_data', 'after_data', 'changes']
+};
+
+const UNDOABLE_ACTIONS = ['create', 'update', 'complete', 'resolve', 'supersede', 'delete', 'restore'];
+
+const EFFORT_UNITS = ['hours', 'points'];
+
+const BULK_TASK_ACTIONS = ['create', 'update', 'complete', 'delete'];
+
+// Sort ranks for ordinal text columns, highest first when sorted DESC
+const PRIORITY_RANK = "CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END";
+const SEVERITY_RANK = "CASE severity WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END";
+
+// Fields accepted by the query_context filter grammar for each query type. Kinds:
+// enum and text compare values (comma lists mean any of), date and number also take
+// > >= < <=, tag matches inside a JSON array column
+const QUERY_FILTERS = {
+  tasks: {
+    table: 'tasks',
+    fields: {
+      id: { column: 'id', kind: 'text' },
+      status: { column: 'status', kind: 'enum', values: ['todo', 'in-progress', 'blocked', 'completed'] },
+      priority: { column: 'priority', kind: 'enum', values: ['high', 'medium', 'low'] },
+      assignee: { column: 'assignee', kind: 'text' },
+      parent: { column: 'parent_task_id', kind: 'text' },
+      tag: { column: 'tags', kind: 'tag' },
+      estimate: { column: 'estimated_effort', kind: 'number' },
+      created: { column: 'created_at', kind: 'date' },
+      updated: { column: 'updated_at', kind: 'date' },
+      completed: { column: 'completed_at', kind: 'date' }
+    },
+    text: ['title', 'description', 'notes'],
+    sort: ['title', 'status', 'priority', 'assignee', 'estimated_effort', 'created_at', 'updated_at', 'completed_at'],
+    ranks: { priority: PRIORITY_RANK },
+    defaultSort: `${PRIORITY_RANK} DESC, created_at ASC`,
+    defaultLimit: 50,
+    summary: ['id', 'title', 'status', 'priority', 'assignee', 'parent_task_id', 'updated_at', 'subtasks']
+  },
+  decisions: {
+    table: 'decisions',
+    fields: {
+      id: { column: 'id', kind: 'text' },
+      status: { column: 'status', kind: 'enum', values: ['active', 'superseded'], default: 'active' },
+      type: {
+        column: 'decision_type', kind: 'enum',
+        values: ['architectural', 'user-preference', 'technical-choice', 'approach-rejected', 'implementation-detail']
+      },
+      made_by: { column: 'made_by', kind: 'text' },
+      tag: { column: 'tags', kind: 'tag' },
+      date: { column: 'decision_date', kind: 'date' },
+      created: { column: 'created_at', kind: 'date' },
+      updated: { column: 'updated_at', kind: 'date' }
+    },
+    text: ['title', 'description', 'rationale', 'context'],
+    sort: ['title', 'decision_type', 'decision_date', 'created_at', 'updated_at'],
+    defaultSort: 'decision_date DESC',
+    defaultLimit: 50,
+    summary: ['id', 'title', 'decision_type', 'status', 'decision_date']
+  },
+  files: {
+    table: 'file_mappings',
+    fields: {
+      id: { column: 'id', kind: 'text' },
+      path: { column: 'file_path', kind: 'text' },
+      type: { column: 'file_type', kind: 'text' },
+      importance: { column: 'importance_score', kind: 'number' },
+      complexity: { column: 'complexity_score', kind: 'number' },
+      analyzed: { column: 'last_analyzed', kind: 'date' },
+      created: { column: 'created_at', kind: 'date' },
+      updated: { column: 'updated_at', kind: 'date' }
+    },
+    text: ['file_path', 'file_type', 'purpose', 'analysis_summary', 'notes'],
+    sort: ['file_path', 'file_type', 'importance_score', 'complexity_score', 'last_analyzed', 'created_at', 'updated_at'],
+    defaultSort: 'importance_score DESC, last_analyzed DESC',
+    defaultLimit: 50,
+    summary: ['id', 'file_path', 'file_type', 'importance_score']
+  },
+  blockers: {
+    table: 'blockers',
+    fields: {
+      id: { column: 'id', kind: 'text' },
+      status: { column: 'status', kind: 'enum', values: ['open', 'in-progress', 'resolved', 'closed'] },
+      severity: { column: 'severity', kind: 'enum', values: ['low', 'medium', 'high', 'critical'] },
+      type: { column: 'blocker_type', kind: 'enum', values: ['external', 'resource', 'technical', 'decision', 'dependency'] },
+      owner: { column: 'owner', kind: 'text' },
+      created: { column: 'created_at', kind: 'date' },
+      updated: { column: 'updated_at', kind: 'date' },
+      resolved: { column: 'resolved_at', kind: 'date' }
+    },
+    text: ['title', 'description', 'resolution_notes'],
+    sort: ['title', 'status', 'severity', 'blocker_type', 'created_at', 'updated_at', 'resolved_at'],
+    ranks: { severity: SEVERITY_RANK },
+    defaultSort: `${SEVERITY_RANK} DESC, created_at DESC`,
+    defaultLimit: 50,
+    summary: ['id', 'title', 'status', 'severity', 'blocker_type']
+  },
+  history: {
+    table: 'audit_log',
+    softDelete: false,
+    fields: {
+      entity: { column: 'entity_type', kind: 'enum', values: AUDIT_ENTITY_TYPES },
+      entity_id: { column: 'entity_id', kind: 'text' },
+      action: { column: 'action', kind: 'text' },
+      actor: { column: 'actor', kind: 'text' },
+      operation: { column: 'operation_id', kind: 'text' },
+      created: { column: 'created_at', kind: 'date' }
+    },
+    // A bare word that is not an entity type is an entity id
+    text: null,
+    sort: ['id', 'created_at', 'entity_type', 'action', 'actor'],
+    defaultSort: 'id DESC',
+    defaultLimit: 100,
+    summary: ['id', 'entity_type', 'entity_id', 'action', 'actor', 'operation_id', 'created_at']
+  }
+};
+
+// Values accepted by the search type: facet, mapped to search_index entity types
+const SEARCH_TYPES = {
+  task: 'task',
+  tasks: 'task',
+  decision: 'decision',
+  decisions: 'decision',
+  blocker: 'blocker',
+  blockers: 'blocker',
+  file: 'file_mapping',
+  files: 'file_mapping',
+  file_mapping: 'file_mapping'
+};
+
+// Tables carried by snapshot.json, in foreign key order
+const SNAPSHOT_TABLES = ['tasks', 'task_dependencies', 'decisions', 'blockers', 'blocker_impacts', 'file_mappings'];
+const SNAPSHOT_FORMAT = 'mcp-agent-planning-snapshot';
+
+// What each dependency type enforces between parent_task_id and child_task_id
+// dot and mermaid give each type its own edge style in export_dependency_graph
+export const DEPENDENCY_TYPES = {
+  'blocks': {
+    gates: 'completion', description: 'the child cannot be completed until the parent is completed',
+    dot: 'style=bold', mermaid: '==>'
+  },
+  'prerequisite': {
+    gates: 'completion', description: 'the child cannot be completed until the parent is completed',
+    dot: 'style=solid', mermaid: '-->'
+  },
+  'subtask': {
+    gates: 'parent_completion', description: 'the parent cannot be completed until the child is completed',
+    dot: 'style=solid, arrowhead=odiamond', mermaid: '--o'
+  },
+  'start-to-start': {
+    gates: 'start', description: 'the child cannot move to in-progress until the parent has started',
+    dot: 'style=dashed, arrowhead=dot', mermaid: 'o--o'
+  },
+  'duplicates': {
+    gates: null, description: 'the child duplicates the parent and is closed when linked',
+    dot: 'style=dotted, arrowhead=tee, color="#6b7280"', mermaid: '--x'
+  },
+  'relates': {
+    gates: null, description: 'informational only',
+    dot: 'style=dotted, arrowhead=none', mermaid: '---'
+  }
+};
+
+// Dependency types where the child cannot finish until the parent is completed
+const GATING_DEPENDENCY_TYPES = Object.keys(DEPENDENCY_TYPES).filter(type => DEPENDENCY_TYPES[type].gates === 'completion');
+
+const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+const GRAPH_DIRECTIONS = ['upstream', 'downstream', 'both'];
+
+// Fill colors shared by the DOT and Mermaid renderers
+const GRAPH_STATUS_COLORS = {
+  'todo': '#e5e7eb',
+  'in-progress': '#bfdbfe',
+  'blocked': '#fecaca',
+  'completed': '#bbf7d0',
+  'blocker': '#fca5a5'
+};
+
+// Resource collections published over MCP, mapped to their tables
+const RESOURCE_COLLECTIONS = {
+  tasks: 'tasks',
+  decisions: 'decisions',
+  blockers: 'blockers',
+  files: 'file_mappings'
+};
+
+// Emits 'change' events ({ project_id, entity_type, entity_id, action }) for every audited mutation
+export class Database extends EventEmitter {
   constructor() {
+    super();
     this.db = null;
   }
 
@@ -127,6 +363,36 @@ export class Database {
         version: 6,
         name: 'add_blocker_management',
         up: this.migration006_add_blocker_management.bind(this)
+      },
+      {
+        version: 7,
+        name: 'add_soft_delete',
+        up: this.migration007_add_soft_delete.bind(this)
+      },
+      {
+        version: 8,
+        name: 'add_audit_log',
+        up: this.migration008_add_audit_log.bind(this)
+      },
+      {
+        version: 9,
+        name: 'add_audit_operations',
+        up: this.migration009_add_audit_operations.bind(this)
+      },
+      {
+        version: 10,
+        name: 'add_time_tracking',
+        up: this.migration010_add_time_tracking.bind(this)
+      },
+      {
+        version: 11,
+        name: 'add_search_index',
+        up: this.migration011_add_search_index.bind(this)
+      },
+      {
+        version: 12,
+        name: 'add_adr_numbers',
+        up: this.migration012_add_adr_numbers.bind(this)
       }
       // Add new migrations here
     ];
@@ -339,15 +605,154 @@ export class Database {
     await db.run('CREATE INDEX IF NOT EXISTS idx_blocker_impacts_task ON blocker_impacts(task_id)');
   }
 
+  async migration007_add_soft_delete(db) {
+    // Tombstone column so deletes can be listed, restored or purged from the trash
+    for (const table of Object.values(TRASHABLE_TABLES)) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN deleted_at DATETIME`);
+      await db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_deleted ON ${table} (deleted_at)`);
+    }
+  }
+
+  async migration008_add_audit_log(db) {
+    // Append-only record of every mutation with before/after row snapshots
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id TEXT,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        before_data JSON,
+        after_data JSON,
+        changes JSON DEFAULT '{}',
+        actor TEXT DEFAULT 'agent',
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_project ON audit_log (project_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at)');
+
+    // Entries are never rewritten or removed
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+  }
+
+  async migration009_add_audit_operations(db) {
+    // Group audit entries into operations so undo/redo can revert them as a unit
+    await db.run('ALTER TABLE audit_log ADD COLUMN operation_id TEXT');
+    await db.run('ALTER TABLE audit_log ADD COLUMN undo_of TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_operation ON audit_log (operation_id)');
+  }
+
+  async migration010_add_time_tracking(db) {
+    // estimated_effort holds a number in effort_unit; actual_effort is hours summed from the time logs
+    await db.run(`ALTER TABLE tasks ADD COLUMN effort_unit TEXT DEFAULT 'hours'`);
+
+    // One row per in-progress interval
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS task_time_logs (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        duration_hours REAL,
+        actor TEXT DEFAULT 'agent',
+        FOREIGN KEY (task_id) REFERENCES tasks (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_task_time_logs_task ON task_time_logs (task_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_task_time_logs_open ON task_time_logs (task_id, ended_at)');
+  }
+
+  async migration011_add_search_index(db) {
+    // One FTS5 index over every searchable entity so hits rank against each other;
+    // the UNINDEXED columns are only there for scoping and facets
+    await db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+        entity_type UNINDEXED,
+        entity_id UNINDEXED,
+        project_id UNINDEXED,
+        status UNINDEXED,
+        title,
+        body,
+        tokenize = 'porter unicode61'
+      )
+    `);
+
+    const sources = [
+      {
+        entityType: 'task', table: 'tasks', title: 'title', status: 'status',
+        body: (row) => `coalesce(${row}description, '') || ' ' || coalesce(${row}notes, '') || ' ' || coalesce(${row}assignee, '')`
+      },
+      {
+        entityType: 'decision', table: 'decisions', title: 'title', status: 'status',
+        body: (row) => `${row}description || ' ' || coalesce(${row}rationale, '') || ' ' || coalesce(${row}context, '') || ' ' || ` +
+                       `coalesce(${row}alternatives_considered, '') || ' ' || coalesce(${row}impacts, '')`
+      },
+      {
+        entityType: 'blocker', table: 'blockers', title: 'title', status: 'status',
+        body: (row) => `coalesce(${row}description, '') || ' ' || coalesce(${row}resolution_notes, '') || ' ' || ` +
+                       `coalesce(${row}owner, '') || ' ' || coalesce(${row}external_ref, '')`
+      },
+      {
+        entityType: 'file_mapping', table: 'file_mappings', title: 'file_path', status: null,
+        body: (row) => `coalesce(${row}purpose, '') || ' ' || coalesce(${row}analysis_summary, '') || ' ' || ` +
+                       `coalesce(${row}notes, '') || ' ' || coalesce(${row}key_functions, '')`
+      }
+    ];
+
+    for (const source of sources) {
+      const status = source.status ? `NEW.${source.status}` : 'NULL';
+      const insert = `
+        INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+        SELECT '${source.entityType}', NEW.id, NEW.project_id, ${status}, NEW.${source.title}, ${source.body('NEW.')}
+        WHERE NEW.deleted_at IS NULL;
+      `;
+      const remove = `DELETE FROM search_index WHERE entity_type = '${source.entityType}' AND entity_id = OLD.id;`;
+
+      // Soft-deleted rows drop out of the index and come back on restore
+      await db.run(`CREATE TRIGGER IF NOT EXISTS ${source.table}_search_insert AFTER INSERT ON ${source.table} BEGIN ${insert} END`);
+      await db.run(`CREATE TRIGGER IF NOT EXISTS ${source.table}_search_update AFTER UPDATE ON ${source.table} BEGIN ${remove} ${insert} END`);
+      await db.run(`CREATE TRIGGER IF NOT EXISTS ${source.table}_search_delete AFTER DELETE ON ${source.table} BEGIN ${remove} END`);
+
+      await db.run(`
+        INSERT INTO search_index (entity_type, entity_id, project_id, status, title, body)
+        SELECT '${source.entityType}', id, project_id, ${source.status || 'NULL'}, ${source.title}, ${source.body('')}
+        FROM ${source.table} WHERE deleted_at IS NULL
+      `);
+    }
+  }
+
+  async migration012_add_adr_numbers(db) {
+    // ADR numbers are stored so trashing or purging a decision never renumbers the others;
+    // existing decisions keep the creation-order numbers they were exported with
+    await db.run('ALTER TABLE decisions ADD COLUMN adr_number INTEGER');
+    await db.run('ALTER TABLE projects ADD COLUMN adr_sequence INTEGER DEFAULT 0');
+
+    const decisions = await db.all('SELECT id, project_id FROM decisions ORDER BY created_at, id');
+    const sequences = {};
+    for (const decision of decisions) {
+      sequences[decision.project_id] = (sequences[decision.project_id] || 0) + 1;
+      await db.run('UPDATE decisions SET adr_number = ? WHERE id = ?', [sequences[decision.project_id], decision.id]);
+    }
+    for (const [projectId, sequence] of Object.entries(sequences)) {
+      await db.run('UPDATE projects SET adr_sequence = ? WHERE id = ?', [sequence, projectId]);
+    }
+  }
+
   async getCurrentContext(projectPath, branch) {
     const db = await this.getProjectDatabase(projectPath);
     
-    const project = await db.get(`
-      SELECT * FROM projects 
-      WHERE branch = ? AND status = 'active'
-      ORDER BY updated_at DESC 
-      LIMIT 1
-    `, [branch]);
+    const project = await this.getCurrentActiveProject(db, branch);
 
     if (!project) {
       return null;
@@ -366,30 +771,61 @@ export class Database {
     };
   }
 
-  async initializeContext({ project_path, goal, scope, branch, project_type = 'other' }) {
+  async initializeContext({ project_path, goal, scope, branch, project_type = 'other', fork_from = null }) {
     const db = await this.getProjectDatabase(project_path);
     
+    let parentProject = null;
+    if (fork_from) {
+      // Forking only makes sense for a branch that has no plan of its own yet
+      const existing = await this.getCurrentActiveProject(db, branch);
+      if (existing) {
+        throw new Error(`Branch ${branch} already has an active project; fork_from only applies to fresh branches`);
+      }
+
+      parentProject = await this.getCurrentActiveProject(db, fork_from);
+      if (!parentProject) {
+        throw new Error(`No active project found on parent branch: ${fork_from}`);
+      }
+    }
+
     const projectId = this.generateId();
     const projectName = this.deriveProjectName(goal);
 
-    await db.run(`
-      INSERT INTO projects (id, name, goal, scope, branch, project_type, status)
-      VALUES (?, ?, ?, ?, ?, ?, 'active')
-    `, [projectId, projectName, goal, scope, branch, project_type]);
-
-    // Initialize with basic context data
-    await this.addContextData(db, projectId, 'initialization', {
-      initialized_at: new Date().toISOString(),
-      initial_goal: goal,
-      initial_scope: scope
+    await this.runInTransaction(db, async () => {
+      await db.run(`
+        INSERT INTO projects (id, name, goal, scope, branch, project_type, status, metadata)
+        VALUES (?, ?, ?, ?, ?, ?, 'active', ?)
+      `, [
+        projectId, projectName, goal, scope, branch, project_type,
+        JSON.stringify(parentProject ? { forked_from: { project_id: parentProject.id, branch: fork_from } } : {})
+      ]);
+
+      // Initialize with basic context data
+      await this.addContextData(db, projectId, 'initialization', {
+        initialized_at: new Date().toISOString(),
+        initial_goal: goal,
+        initial_scope: scope,
+        ...(parentProject ? { forked_from: fork_from } : {})
+      });
+
+      if (parentProject) {
+        await this.copyProjectData(db, parentProject.id, projectId);
+      }
+
+      await this.recordAudit(db, {
+        entity_type: 'project',
+        entity_id: projectId,
+        action: parentProject ? 'fork' : 'create',
+        after: await this.getRow(db, 'projects', projectId)
+      });
     });
 
-    return { project_id: projectId };
+    return { project_id: projectId, forked_from: parentProject ? parentProject.id : null };
   }
 
-  async queryContext(projectPath, queryType, filter = null) {
+  async queryContext(projectPath, queryType, filter = null, branch = null, options = {}) {
     const db = await this.getProjectDatabase(projectPath);
-    const currentProject = await this.getCurrentActiveProject(db);
+    const currentProject = await this.getCurrentActiveProject(db, branch);
     
     if (!currentProject) {
       return 'No active project found. Initialize a project context first.';
@@ -397,122 +833,571 @@ export class Database {
 
     switch (queryType) {
       case 'summary':
-        return this.getProjectSummary(db, currentProject);
+        return this.getProjectSummary(db, currentProject, options);
       
       case 'tasks':
-        return this.getTaskData(db, currentProject.id, filter);
+        return this.getTaskData(db, currentProject.id, filter, options);
       
       case 'decisions':
-        return this.getDecisionData(db, currentProject.id, filter);
+        return this.getDecisionData(db, currentProject.id, filter, options);
       
       case 'files':
-        return this.getFileData(db, currentProject.id, filter);
+        return this.getFileData(db, currentProject.id, filter, options);
       
       case 'blockers':
-        return this.getBlockerData(currentProject.id, filter);
+        return this.getBlockerData(db, currentProject.id, filter, options);
+      
+      case 'history':
+        return this.getHistoryData(db, currentProject.id, filter, options);
       
       default:
         return `Unknown query type: ${queryType}`;
     }
   }
 
-  async clearContext(projectPath, scope) {
+  async queryContextData(projectPath, queryType, filter = null, branch = null, options = {}) {
+    const db = await this.getProjectDatabase(projectPath);
+    const currentProject = await this.getCurrentActiveProject(db, branch);
+    
+    if (!currentProject) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    if (queryType === 'summary') {
+      return { query_type: queryType, ...await this.getProjectDashboard(db, currentProject, options) };
+    }
+
+    if (!QUERY_FILTERS[queryType]) {
+      throw new Error(`Unknown query type: ${queryType}`);
+    }
+
+    const { table, summary } = QUERY_FILTERS[queryType];
+    const page = await this.queryRows(db, queryType, currentProject.id, filter, options);
+
+    if (queryType === 'tasks') {
+      const rollup = this.getSubtaskRollup(await this.getTaskRows(db, currentProject.id, null));
+      page.rows = page.rows.map(row => ({ ...row, subtasks: rollup.get(row.id) }));
+    }
+
+    const toItems = (rows, detail) => rows.map(row => detail === 'summary'
+      ? Object.fromEntries(summary.map(column => [column, row[column]]))
+      : this.parseJsonColumns(table, row));
+    const fitted = this.fitQueryPage(page, options, (shown, detail) => JSON.stringify(toItems(shown.rows, detail)));
+
+    return {
+      query_type: queryType,
+      project_id: currentProject.id,
+      filter,
+      total: page.total,
+      detail: fitted.detail === 'summary' ? 'summary' : 'full',
+      items: toItems(fitted.rows, fitted.detail),
+      next_cursor: fitted.next_cursor
+    };
+  }
+
+  async clearContext(projectPath, scope, branch = null, { dry_run = false, plan_hash = null } = {}) {
     const db = await this.getProjectDatabase(projectPath);
-    let count = 0;
-    let message = '';
+    const plan = await this.planContextClear(db, scope, branch);
+
+    if (plan.projects.length === 0) {
+      return { message: plan.empty_message, count: 0, counts: plan.counts, plan, dry_run };
+    }
+
+    const total = Object.values(plan.counts).reduce((sum, n) => sum + n, 0);
+    const planChanged = plan_hash !== null && plan_hash !== plan.plan_hash;
+
+    if (dry_run || planChanged) {
+      return {
+        message: `${planChanged ? 'The plan changed since the preview; would now clear' : 'Would clear'} ${plan.description}`,
+        count: total,
+        counts: plan.counts,
+        plan,
+        dry_run: true,
+        plan_changed: planChanged
+      };
+    }
+
+    // Tombstoning the projects hides every dependent row counted in the plan;
+    // purging them from the trash later cascades the real delete
+    const operationId = this.generateId();
+    await this.runInTransaction(db, async () => {
+      for (const { id } of plan.projects) {
+        const before = await this.getRow(db, 'projects', id);
+        await db.run('UPDATE projects SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+        await this.recordAudit(db, {
+          entity_type: 'project',
+          entity_id: id,
+          action: 'delete',
+          before,
+          after: await this.getRow(db, 'projects', id),
+          operation_id: operationId
+        });
+      }
+    });
+
+    return { message: `Cleared ${plan.description} (moved to trash)`, count: total, counts: plan.counts, plan, dry_run };
+  }
+
+  async planContextClear(db, scope, branch = null) {
+    let projects = [];
+    let description = '';
+    let emptyMessage = '';
 
     switch (scope) {
       case 'current_project':
-        const project = await this.getCurrentActiveProject(db);
-        if (project) {
-          await db.run('DELETE FROM projects WHERE id = ?', [project.id]);
-          count = 1;
-          message = `Cleared context for project: ${project.name}`;
-        } else {
-          message = 'No active project to clear';
-        }
+        const project = await this.getCurrentActiveProject(db, branch);
+        projects = project ? [project] : [];
+        description = project ? `context for project: ${project.name}` : '';
+        emptyMessage = 'No active project to clear';
         break;
 
       case 'current_branch':
-        // TODO: Implement branch detection
-        message = 'Branch-specific clearing not yet implemented';
+        if (!branch) {
+          throw new Error('branch is required to clear current_branch scope');
+        }
+        projects = await db.all('SELECT * FROM projects WHERE branch = ? AND deleted_at IS NULL ORDER BY created_at', [branch]);
+        description = `${projects.length} project(s) on branch: ${branch}`;
+        emptyMessage = `No projects found on branch: ${branch}`;
         break;
 
       case 'all':
-        const result = await this.db.run('DELETE FROM projects');
-        count = result.changes || 0;
-        message = 'Cleared all project contexts';
+        projects = await db.all('SELECT * FROM projects WHERE deleted_at IS NULL ORDER BY created_at');
+        description = `all ${projects.length} project contexts`;
+        emptyMessage = 'No project contexts to clear';
         break;
+
+      default:
+        throw new Error(`Unknown clear scope: ${scope}. Supported: current_project, current_branch, all`);
+    }
+
+    const ids = projects.map(p => p.id);
+    const counts = {
+      projects: ids.length,
+      context_data: 0,
+      tasks: 0,
+      task_dependencies: 0,
+      decisions: 0,
+      blockers: 0,
+      blocker_impacts: 0,
+      file_mappings: 0
+    };
+
+    // Rows already in the trash are not removed again, so only live rows are counted
+    const rowIds = { projects: ids };
+    if (ids.length > 0) {
+      const inList = ids.map(() => '?').join(', ');
+      const liveTasks = `SELECT id FROM tasks WHERE deleted_at IS NULL AND project_id IN (${inList})`;
+      for (const table of ['context_data', 'tasks', 'decisions', 'blockers', 'file_mappings']) {
+        const live = table === 'context_data' ? '' : 'deleted_at IS NULL AND ';
+        rowIds[table] = (await db.all(
+          `SELECT id FROM ${table} WHERE ${live}project_id IN (${inList}) ORDER BY id`, ids
+        )).map(row => row.id);
+      }
+
+      // Dependencies and impacts go with either end of the relationship, unless that end is already trashed
+      rowIds.task_dependencies = (await db.all(`
+        SELECT td.id FROM task_dependencies td
+        JOIN tasks pt ON pt.id = td.parent_task_id AND pt.deleted_at IS NULL
+        JOIN tasks ct ON ct.id = td.child_task_id AND ct.deleted_at IS NULL
+        WHERE td.project_id IN (${inList}) OR td.parent_task_id IN (${liveTasks}) OR td.child_task_id IN (${liveTasks})
+        ORDER BY td.id
+      `, [...ids, ...ids, ...ids])).map(row => row.id);
+
+      rowIds.blocker_impacts = (await db.all(`
+        SELECT bi.id FROM blocker_impacts bi
+        JOIN blockers b ON b.id = bi.blocker_id AND b.deleted_at IS NULL
+        LEFT JOIN tasks t ON t.id = bi.task_id
+        WHERE (bi.task_id IS NULL OR t.deleted_at IS NULL)
+          AND (b.project_id IN (${inList}) OR bi.task_id IN (${liveTasks}))
+        ORDER BY bi.id
+      `, [...ids, ...ids])).map(row => row.id);
+    }
+    Object.keys(counts).forEach(table => {
+      counts[table] = (rowIds[table] || []).length;
+    });
+
+    return {
+      scope,
+      branch,
+      description,
+      empty_message: emptyMessage,
+      projects: projects.map(p => ({ id: p.id, name: p.name, branch: p.branch, status: p.status })),
+      counts,
+      // Confirming with this hash clears exactly the previewed rows, or re-previews if any changed
+      plan_hash: createHash('sha256').update(JSON.stringify({ scope, branch, rowIds })).digest('hex').slice(0, 16)
+    };
+  }
+
+  // Branch Context Methods
+  async mergeBranchContext(projectPath, { source_branch, target_branch, conflict_strategy = 'newest' }) {
+    const db = await this.getProjectDatabase(projectPath);
+
+    if (!source_branch || !target_branch) {
+      throw new Error('source_branch and target_branch are required');
+    }
+    if (source_branch === target_branch) {
+      throw new Error('source_branch and target_branch must be different');
+    }
+
+    const validStrategies = ['newest', 'source', 'target'];
+    if (!validStrategies.includes(conflict_strategy)) {
+      throw new Error(`Invalid conflict_strategy. Must be one of: ${validStrategies.join(', ')}`);
+    }
+
+    const source = await this.getCurrentActiveProject(db, source_branch);
+    if (!source) {
+      throw new Error(`No active project found on source branch: ${source_branch}`);
+    }
+
+    const target = await this.getCurrentActiveProject(db, target_branch);
+    if (!target) {
+      throw new Error(`No active project found on target branch: ${target_branch}. Initialize it first.`);
+    }
+
+    const moved = {};
+    const conflicts = [];
+    // Every write is audited in the target project under one operation, so a single undo reverses the merge
+    const audit = (entry) => this.recordAudit(db, { project_id: target.id, ...entry });
+    const operationId = this.generateId();
+    db.operationId = operationId;
+
+    try {
+      await this.runInTransaction(db, async () => {
+        // File mappings are unique per (project, path), so the target row keeps the path either way:
+        // a winning source analysis is copied onto it, and the source row stays behind in the trash
+        const clashes = await db.all(`
+          SELECT s.id AS source_id, t.id AS target_id, s.file_path,
+                 s.updated_at AS source_updated, t.updated_at AS target_updated,
+                 s.deleted_at AS source_deleted, t.deleted_at AS target_deleted
+          FROM file_mappings s
+          JOIN file_mappings t ON t.file_path = s.file_path AND t.project_id = ?
+          WHERE s.project_id = ?
+        `, [target.id, source.id]);
+        const leftBehind = new Set();
+
+        for (const clash of clashes) {
+          leftBehind.add(clash.source_id);
+          if (clash.source_deleted) continue;
+
+          const keepSource = Boolean(clash.target_deleted) || conflict_strategy === 'source' ||
+            (conflict_strategy === 'newest' && clash.source_updated > clash.target_updated);
+
+          if (keepSource) {
+            const replaced = await this.getRow(db, 'file_mappings', clash.target_id);
+            const { id, project_id, file_path, created_at, ...analysis } = await this.getRow(db, 'file_mappings', clash.source_id);
+            const columns = Object.keys(analysis);
+            await db.run(
+              `UPDATE file_mappings SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+              [...columns.map(column => analysis[column]), clash.target_id]
+            );
+            await audit({
+              entity_type: 'file_mapping', entity_id: clash.target_id, action: 'update',
+              before: replaced, after: await this.getRow(db, 'file_mappings', clash.target_id)
+            });
+          }
+
+          const before = await this.getRow(db, 'file_mappings', clash.source_id);
+          await db.run('UPDATE file_mappings SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [clash.source_id]);
+          await audit({
+            entity_type: 'file_mapping', entity_id: clash.source_id, action: 'delete',
+            before, after: await this.getRow(db, 'file_mappings', clash.source_id)
+          });
+
+          if (!clash.target_deleted) {
+            conflicts.push({
+              entity: 'file_mapping',
+              file_path: clash.file_path,
+              kept: keepSource ? 'source' : 'target'
+            });
+          }
+        }
+
+        // Impacts follow their blockers; count the source's before the blockers move
+        const impactCount = await db.get(`
+          SELECT COUNT(*) AS count FROM blocker_impacts bi
+          JOIN blockers b ON b.id = bi.blocker_id
+          WHERE b.project_id = ?
+        `, [source.id]);
+
+        // Ids are preserved, so dependencies, impacts and supersession links stay intact
+        for (const [table, entityType] of Object.entries(MERGED_TABLES)) {
+          const rows = await db.all(`SELECT * FROM ${table} WHERE project_id = ? ORDER BY id`, [source.id]);
+          moved[table] = 0;
+          for (const row of rows.filter(row => !leftBehind.has(row.id))) {
+            await db.run(`UPDATE ${table} SET project_id = ? WHERE id = ?`, [target.id, row.id]);
+            if (table === 'decisions') {
+              // Moved decisions continue the target's ADR numbering instead of clashing with it
+              await db.run('UPDATE decisions SET adr_number = ? WHERE id = ?', [await this.claimAdrNumber(db, target.id), row.id]);
+            }
+            await audit({ entity_type: entityType, entity_id: row.id, action: 'update', before: row, after: await this.getRow(db, table, row.id) });
+            moved[table]++;
+          }
+        }
+        moved.blocker_impacts = impactCount.count;
+
+        const now = new Date().toISOString();
+        const metadata = JSON.parse(source.metadata || '{}');
+        metadata.merged_into = { project_id: target.id, branch: target_branch, merged_at: now };
+
+        await db.run(`
+          UPDATE projects SET status = 'merged', metadata = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [JSON.stringify(metadata), source.id]);
+        await audit({
+          entity_type: 'project',
+          entity_id: source.id,
+          action: 'merge',
+          before: source,
+          after: await this.getRow(db, 'projects', source.id)
+        });
+        await db.run('UPDATE projects SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [target.id]);
+
+        const noteId = await this.addContextData(db, target.id, 'branch_merge', {
+          merged_at: now,
+          source_branch,
+          source_project_id: source.id,
+          conflict_strategy,
+          moved,
+          conflicts
+        });
+        await audit({ entity_type: 'context_data', entity_id: noteId, action: 'create', after: await this.getRow(db, 'context_data', noteId) });
+      });
+    } finally {
+      db.operationId = null;
+    }
+
+    return {
+      source_project_id: source.id,
+      target_project_id: target.id,
+      source_branch,
+      target_branch,
+      operation_id: operationId,
+      moved,
+      conflicts
+    };
+  }
+
+  async copyProjectData(db, sourceProjectId, targetProjectId) {
+    // Copies get fresh ids, so keep a map to rewire references between copied rows
+    const idMap = new Map();
+    const remap = (id) => (id && idMap.has(id) ? idMap.get(id) : null);
+
+    const tasks = await db.all('SELECT * FROM tasks WHERE project_id = ? AND deleted_at IS NULL ORDER BY created_at', [sourceProjectId]);
+    tasks.forEach(task => idMap.set(task.id, this.generateId()));
+    for (const task of tasks) {
+      await this.insertRow(db, 'tasks', { ...task, id: idMap.get(task.id), project_id: targetProjectId, parent_task_id: null });
+    }
+
+    const decisions = await db.all('SELECT * FROM decisions WHERE project_id = ? AND deleted_at IS NULL ORDER BY created_at', [sourceProjectId]);
+    decisions.forEach(decision => idMap.set(decision.id, this.generateId()));
+    for (const decision of decisions) {
+      await this.insertRow(db, 'decisions', { ...decision, id: idMap.get(decision.id), project_id: targetProjectId, superseded_by: null });
+    }
+
+    // Self-references are rewired once every row exists so insert order doesn't matter
+    for (const task of tasks.filter(t => remap(t.parent_task_id))) {
+      await db.run('UPDATE tasks SET parent_task_id = ? WHERE id = ?', [remap(task.parent_task_id), idMap.get(task.id)]);
+    }
+    for (const decision of decisions.filter(d => remap(d.superseded_by))) {
+      await db.run('UPDATE decisions SET superseded_by = ? WHERE id = ?', [remap(decision.superseded_by), idMap.get(decision.id)]);
+    }
+
+    const dependencies = await db.all('SELECT * FROM task_dependencies WHERE project_id = ?', [sourceProjectId]);
+    for (const dependency of dependencies) {
+      if (!idMap.has(dependency.parent_task_id) || !idMap.has(dependency.child_task_id)) continue;
+      await this.insertRow(db, 'task_dependencies', {
+        ...dependency,
+        id: this.generateId(),
+        project_id: targetProjectId,
+        parent_task_id: idMap.get(dependency.parent_task_id),
+        child_task_id: idMap.get(dependency.child_task_id)
+      });
+    }
+
+    const blockers = await db.all('SELECT * FROM blockers WHERE project_id = ? AND deleted_at IS NULL', [sourceProjectId]);
+    for (const blocker of blockers) {
+      const blockerId = this.generateId();
+      await this.insertRow(db, 'blockers', { ...blocker, id: blockerId, project_id: targetProjectId });
+
+      const impacts = await db.all('SELECT * FROM blocker_impacts WHERE blocker_id = ?', [blocker.id]);
+      for (const impact of impacts) {
+        if (impact.task_id && !idMap.has(impact.task_id)) continue;
+        await this.insertRow(db, 'blocker_impacts', {
+          ...impact,
+          id: this.generateId(),
+          blocker_id: blockerId,
+          task_id: remap(impact.task_id)
+        });
+      }
+    }
+
+    const mappings = await db.all('SELECT * FROM file_mappings WHERE project_id = ? AND deleted_at IS NULL', [sourceProjectId]);
+    for (const mapping of mappings) {
+      await this.insertRow(db, 'file_mappings', { ...mapping, id: this.generateId(), project_id: targetProjectId });
     }
 
-    return { message, count };
+    return {
+      tasks: tasks.length,
+      decisions: decisions.length,
+      task_dependencies: dependencies.length,
+      blockers: blockers.length,
+      file_mappings: mappings.length
+    };
   }
 
   // Task Management Methods
+  // Task ids are global, so an id from another branch's project must not be touched from this one
+  async assertProjectTask(db, project, taskId) {
+    const task = await db.get('SELECT project_id FROM tasks WHERE id = ? AND deleted_at IS NULL', [taskId]);
+    if (!task || task.project_id !== project.id) {
+      throw new Error(`Task not found on branch ${project.branch}: ${taskId}`);
+    }
+  }
+
+  async assertProjectBlocker(db, project, blockerId) {
+    const blocker = await db.get('SELECT project_id FROM blockers WHERE id = ? AND deleted_at IS NULL', [blockerId]);
+    if (!blocker || blocker.project_id !== project.id) {
+      throw new Error(`Blocker not found on branch ${project.branch}: ${blockerId}`);
+    }
+  }
+
   async updateTaskStatus(projectPath, taskData) {
     const db = await this.getProjectDatabase(projectPath);
-    const currentProject = await this.getCurrentActiveProject(db);
+    const currentProject = await this.getCurrentActiveProject(db, taskData.branch);
     
     if (!currentProject) {
       throw new Error('No active project found. Initialize a project context first.');
     }
 
-    const { action, task_id, title, description, status, priority, assignee, notes } = taskData;
+    const {
+      action, task_id, title, description, status, priority, assignee, notes, parent_task_id,
+      estimated_effort, effort_unit, cascade = false, actor = 'agent'
+    } = taskData;
+
+    if (action !== 'create' && task_id) {
+      await this.assertProjectTask(db, currentProject, task_id);
+    }
 
     switch (action) {
       case 'create':
-        return await this.createTask(db, currentProject.id, { title, description, status, priority, assignee, notes });
+        return await this.createTask(db, currentProject.id, {
+          title, description, status, priority, assignee, notes, parent_task_id, estimated_effort, effort_unit, actor
+        });
       
       case 'update':
         if (!task_id) throw new Error('task_id required for update action');
-        return await this.updateTask(db, task_id, { title, description, status, priority, assignee, notes });
+        return await this.updateTask(db, task_id, {
+          title, description, status, priority, assignee, notes, parent_task_id, estimated_effort, effort_unit
+        }, actor);
+      
+      case 'start':
+        if (!task_id) throw new Error('task_id required for start action');
+        return await this.updateTask(db, task_id, { status: 'in-progress', notes }, actor);
+      
+      case 'stop':
+        // Pausing closes the time log; completing goes through the complete action
+        if (!task_id) throw new Error('task_id required for stop action');
+        if (status && !['todo', 'blocked'].includes(status)) {
+          throw new Error('stop only moves a task back to todo or blocked; use complete to finish it');
+        }
+        return await this.updateTask(db, task_id, { status: status || 'todo', notes }, actor);
       
       case 'complete':
         if (!task_id) throw new Error('task_id required for complete action');
-        return await this.completeTask(db, task_id, notes);
+        return await this.completeTask(db, task_id, notes, actor, { cascade });
       
       case 'delete':
         if (!task_id) throw new Error('task_id required for delete action');
-        return await this.deleteTask(db, task_id);
+        return await this.deleteTask(db, task_id, actor);
       
       default:
-        throw new Error(`Unknown task action: ${action}. Supported: create, update, complete, delete`);
+        throw new Error(`Unknown task action: ${action}. Supported: create, update, start, stop, complete, delete`);
     }
   }
 
   async createTask(db, projectId, taskData) {
     const taskId = this.generateId();
-    const { title, description, status = 'todo', priority = 'medium', assignee, notes } = taskData;
+    const {
+      title, description, status = 'todo', priority = 'medium', assignee, notes, parent_task_id = null,
+      estimated_effort = null, effort_unit = 'hours', actor = 'agent'
+    } = taskData;
     
     if (!title) {
       throw new Error('Task title is required');
     }
 
-    await db.run(`
-      INSERT INTO tasks (id, project_id, title, description, status, priority, assignee, notes)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `, [taskId, projectId, title, description, status, priority, assignee, notes]);
+    if (parent_task_id) {
+      await this.validateParentTask(db, projectId, parent_task_id);
+    }
+
+    const effort = this.validateEffort(estimated_effort, effort_unit);
+
+    // The row, its time log and their audit entries land together or not at all
+    await this.runInTransaction(db, async () => {
+      await db.run(`
+        INSERT INTO tasks (id, project_id, title, description, status, priority, assignee, notes, parent_task_id, estimated_effort, effort_unit)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        taskId, projectId, title, description, status, priority, assignee, notes, parent_task_id || null,
+        effort.estimated_effort, effort.effort_unit || 'hours'
+      ]);
+
+      const operationId = this.generateId();
+      const timeLogChanges = await this.syncTimeLog(db, null, taskId, actor);
+
+      await this.recordAudit(db, {
+        entity_type: 'task',
+        entity_id: taskId,
+        action: 'create',
+        after: await this.getRow(db, 'tasks', taskId),
+        actor,
+        operation_id: operationId
+      });
+      await this.auditTimeLogs(db, timeLogChanges, projectId, actor, operationId);
+    });
 
     return {
       task_id: taskId,
       action: 'created',
       title: title,
-      status: status
+      status: status,
+      parent_task_id: parent_task_id || null
     };
   }
 
-  async updateTask(db, taskId, updates) {
+  async updateTask(db, taskId, updates, actor = 'agent') {
     // Build dynamic update query
     const updateFields = [];
     const params = [];
     
-    ['title', 'description', 'status', 'priority', 'assignee', 'notes'].forEach(field => {
-      if (updates[field] !== undefined) {
+    const effort = this.validateEffort(updates.estimated_effort, updates.effort_unit);
+    const fields = { ...updates, ...effort };
+
+    ['title', 'description', 'status', 'priority', 'assignee', 'notes', 'estimated_effort', 'effort_unit'].forEach(field => {
+      if (fields[field] !== undefined) {
         updateFields.push(`${field} = ?`);
-        params.push(updates[field]);
+        params.push(fields[field]);
       }
     });
     
+    const before = await this.getRow(db, 'tasks', taskId);
+
+    if (fields.status === 'in-progress' && before && before.status !== 'in-progress') {
+      const startCheck = await this.canStartTask(db, taskId);
+      if (!startCheck.can_start) {
+        const waitingOn = startCheck.unstarted_dependencies.map(dep => `"${dep.title}" (${dep.status})`).join(', ');
+        throw new Error(`Cannot start task: start-to-start dependencies have not started: ${waitingOn}`);
+      }
+    }
+
+    // Moving between parents; an empty value moves the task to the top level
+    if (updates.parent_task_id !== undefined) {
+      if (updates.parent_task_id && before) {
+        await this.validateParentTask(db, before.project_id, updates.parent_task_id, taskId);
+      }
+      updateFields.push('parent_task_id = ?');
+      params.push(updates.parent_task_id || null);
+    }
+    
     if (updateFields.length === 0) {
       throw new Error('No valid update fields provided');
     }
@@ -521,13 +1406,29 @@ export class Database {
     updateFields.push('updated_at = CURRENT_TIMESTAMP');
     params.push(taskId);
     
-    const query = `UPDATE tasks SET ${updateFields.join(', ')} WHERE id = ?`;
-    
-    const result = await db.run(query, params);
+    const query = `UPDATE tasks SET ${updateFields.join(', ')} WHERE id = ? AND deleted_at IS NULL`;
     
-    if ((result.changes || 0) === 0) {
-      throw new Error(`Task not found: ${taskId}`);
-    }
+    await this.runInTransaction(db, async () => {
+      const result = await db.run(query, params);
+
+      if ((result.changes || 0) === 0) {
+        throw new Error(`Task not found: ${taskId}`);
+      }
+
+      const operationId = this.generateId();
+      const timeLogChanges = await this.syncTimeLog(db, before, taskId, actor);
+
+      await this.recordAudit(db, {
+        entity_type: 'task',
+        entity_id: taskId,
+        action: 'update',
+        before,
+        after: await this.getRow(db, 'tasks', taskId),
+        actor,
+        operation_id: operationId
+      });
+      await this.auditTimeLogs(db, timeLogChanges, before.project_id, actor, operationId);
+    });
 
     return {
       task_id: taskId,
@@ -536,10 +1437,37 @@ export class Database {
     };
   }
 
-  async completeTask(db, taskId, notes) {
-    // Check if task can be completed (all dependencies satisfied)
-    const dependencyCheck = await this.canCompleteTask(db, taskId);
-    
+  async completeTask(db, taskId, notes, actor = 'agent', { cascade = false } = {}) {
+    const openSubtasks = (await this.getSubtaskTree(db, taskId)).filter(task => task.status !== 'completed');
+
+    if (openSubtasks.length === 0) {
+      return await this.markTaskCompleted(db, taskId, notes, actor);
+    }
+
+    if (!cascade) {
+      const open = openSubtasks.map(task => `"${task.title}" (${task.status})`).join(', ');
+      throw new Error(`Cannot complete task: ${openSubtasks.length} subtasks still open: ${open}. Pass cascade: true to complete them as well`);
+    }
+
+    // Deepest subtasks first; one operation so a single undo reverts the whole cascade
+    const operationId = this.generateId();
+    let result;
+    await this.runInTransaction(db, async () => {
+      for (const subtask of [...openSubtasks].sort((a, b) => b.depth - a.depth)) {
+        await this.markTaskCompleted(db, subtask.id, null, actor, operationId);
+      }
+      result = await this.markTaskCompleted(db, taskId, notes, actor, operationId);
+    });
+
+    return { ...result, cascaded: openSubtasks.map(task => task.id) };
+  }
+
+  async markTaskCompleted(db, taskId, notes, actor = 'agent', operationId = this.generateId(), { checkDependencies = true } = {}) {
+    // Check if task can be completed (all dependencies satisfied)
+    const dependencyCheck = checkDependencies
+      ? await this.canCompleteTask(db, taskId)
+      : { can_complete: true, unsatisfied_dependencies: [] };
+    
     if (!dependencyCheck.can_complete) {
       const blockedBy = dependencyCheck.unsatisfied_dependencies
         .map(dep => `"${dep.title}" (${dep.status})`)
@@ -563,13 +1491,27 @@ export class Database {
     
     params.push(taskId);
     
-    const query = `UPDATE tasks SET ${updateFields.join(', ')} WHERE id = ?`;
+    const query = `UPDATE tasks SET ${updateFields.join(', ')} WHERE id = ? AND deleted_at IS NULL`;
+    const before = await this.getRow(db, 'tasks', taskId);
     const result = await db.run(query, params);
     
     if ((result.changes || 0) === 0) {
       throw new Error(`Task not found: ${taskId}`);
     }
 
+    const timeLogChanges = await this.syncTimeLog(db, before, taskId, actor);
+
+    await this.recordAudit(db, {
+      entity_type: 'task',
+      entity_id: taskId,
+      action: 'complete',
+      before,
+      after: await this.getRow(db, 'tasks', taskId),
+      actor,
+      operation_id: operationId
+    });
+    await this.auditTimeLogs(db, timeLogChanges, before.project_id, actor, operationId);
+
     return {
       task_id: taskId,
       action: 'completed',
@@ -578,12 +1520,27 @@ export class Database {
     };
   }
 
-  async deleteTask(db, taskId) {
-    const result = await db.run('DELETE FROM tasks WHERE id = ?', [taskId]);
-    
-    if ((result.changes || 0) === 0) {
-      throw new Error(`Task not found: ${taskId}`);
-    }
+  async deleteTask(db, taskId, actor = 'agent') {
+    // Soft delete: dependencies and blocker impacts stay in place and come back on restore
+    await this.runInTransaction(db, async () => {
+      const before = await this.getRow(db, 'tasks', taskId);
+      const result = await db.run(`
+        UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL
+      `, [taskId]);
+
+      if ((result.changes || 0) === 0) {
+        throw new Error(`Task not found: ${taskId}`);
+      }
+
+      await this.recordAudit(db, {
+        entity_type: 'task',
+        entity_id: taskId,
+        action: 'delete',
+        before,
+        after: await this.getRow(db, 'tasks', taskId),
+        actor
+      });
+    });
 
     return {
       task_id: taskId,
@@ -591,11 +1548,245 @@ export class Database {
     };
   }
 
+  // Effort Tracking Methods
+  validateEffort(estimatedEffort, effortUnit) {
+    const effort = {};
+
+    if (estimatedEffort !== undefined && estimatedEffort !== null && estimatedEffort !== '') {
+      const value = Number(estimatedEffort);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid estimated_effort: ${estimatedEffort}. Must be a non-negative number`);
+      }
+      effort.estimated_effort = String(value);
+    }
+
+    if (effortUnit !== undefined && effortUnit !== null) {
+      if (!EFFORT_UNITS.includes(effortUnit)) {
+        throw new Error(`Invalid effort_unit. Must be one of: ${EFFORT_UNITS.join(', ')}`);
+      }
+      effort.effort_unit = effortUnit;
+    }
+
+    return effort;
+  }
+
+  async syncTimeLog(db, before, taskId, actor = 'agent') {
+    // Entering in-progress opens an interval; leaving it closes the interval and refreshes actual_effort.
+    // Returns the log rows it wrote so the caller can audit them under the task's operation
+    const task = await this.getRow(db, 'tasks', taskId);
+    const wasActive = before && before.status === 'in-progress';
+    const isActive = task && task.status === 'in-progress';
+    const now = new Date();
+    const changes = [];
+
+    if (isActive && !wasActive) {
+      const logId = this.generateId();
+      await db.run(`
+        INSERT INTO task_time_logs (id, task_id, started_at, actor) VALUES (?, ?, ?, ?)
+      `, [logId, taskId, now.toISOString(), actor]);
+      changes.push({ id: logId, action: 'create', before: null, after: await this.getRow(db, 'task_time_logs', logId) });
+      return changes;
+    }
+
+    if (!wasActive || isActive) {
+      return changes;
+    }
+
+    const openLogs = await db.all('SELECT * FROM task_time_logs WHERE task_id = ? AND ended_at IS NULL', [taskId]);
+    for (const log of openLogs) {
+      const hours = (now.getTime() - new Date(log.started_at).getTime()) / 3600000;
+      await db.run(
+        'UPDATE task_time_logs SET ended_at = ?, duration_hours = ? WHERE id = ?',
+        [now.toISOString(), Math.round(hours * 100) / 100, log.id]
+      );
+      changes.push({ id: log.id, action: 'update', before: log, after: await this.getRow(db, 'task_time_logs', log.id) });
+    }
+
+    const total = await db.get('SELECT SUM(duration_hours) as hours FROM task_time_logs WHERE task_id = ?', [taskId]);
+    await db.run('UPDATE tasks SET actual_effort = ? WHERE id = ?', [String(Math.round((total.hours || 0) * 100) / 100), taskId]);
+    return changes;
+  }
+
+  async auditTimeLogs(db, changes, projectId, actor, operationId) {
+    // Recorded after the task entry, so undo removes a log before its task and redo recreates it after
+    for (const change of changes) {
+      await this.recordAudit(db, {
+        project_id: projectId,
+        entity_type: 'task_time_log',
+        entity_id: change.id,
+        action: change.action,
+        before: change.before,
+        after: change.after,
+        actor,
+        operation_id: operationId
+      });
+    }
+  }
+
+  async getEffortReport(projectPath, { branch = null, scope = 'all' } = {}) {
+    const db = await this.getProjectDatabase(projectPath);
+
+    if (!['all', 'current_project'].includes(scope)) {
+      throw new Error(`Unknown scope: ${scope}. Supported: all, current_project`);
+    }
+
+    // Only finished work says anything about how good the estimates were
+    let query = `
+      SELECT t.*, p.project_type
+      FROM tasks t
+      JOIN projects p ON p.id = t.project_id
+      WHERE t.deleted_at IS NULL AND p.deleted_at IS NULL AND t.status = 'completed'
+        AND (t.estimated_effort IS NOT NULL OR t.actual_effort IS NOT NULL)
+    `;
+    const params = [];
+
+    if (scope === 'current_project') {
+      const project = await this.getCurrentActiveProject(db, branch);
+      if (!project) {
+        throw new Error('No active project found. Initialize a project context first.');
+      }
+      query += ' AND t.project_id = ?';
+      params.push(project.id);
+    }
+
+    const tasks = await db.all(query, params);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const summarize = (keyOf) => {
+      const groups = new Map();
+
+      tasks.forEach(task => {
+        const key = keyOf(task);
+        if (!groups.has(key)) {
+          groups.set(key, {
+            group: key,
+            tasks: 0,
+            hours: { tasks: 0, estimated: 0, actual: 0 },
+            points: { tasks: 0, estimated: 0, actual_hours: 0 },
+            unestimated_hours: 0
+          });
+        }
+
+        const group = groups.get(key);
+        const estimate = parseFloat(task.estimated_effort);
+        const actual = parseFloat(task.actual_effort) || 0;
+        group.tasks++;
+
+        if (Number.isNaN(estimate)) {
+          group.unestimated_hours += actual;
+        } else if (task.effort_unit === 'points') {
+          group.points.tasks++;
+          group.points.estimated += estimate;
+          group.points.actual_hours += actual;
+        } else {
+          group.hours.tasks++;
+          group.hours.estimated += estimate;
+          group.hours.actual += actual;
+        }
+      });
+
+      return [...groups.values()].map(group => ({
+        ...group,
+        hours: {
+          ...group.hours,
+          estimated: round(group.hours.estimated),
+          actual: round(group.hours.actual),
+          actual_to_estimate: group.hours.estimated > 0 ? round(group.hours.actual / group.hours.estimated) : null
+        },
+        points: {
+          ...group.points,
+          estimated: round(group.points.estimated),
+          actual_hours: round(group.points.actual_hours),
+          hours_per_point: group.points.estimated > 0 ? round(group.points.actual_hours / group.points.estimated) : null
+        },
+        unestimated_hours: round(group.unestimated_hours)
+      }));
+    };
+
+    return {
+      scope,
+      completed_tasks: tasks.length,
+      by_assignee: summarize(task => task.assignee || 'unassigned'),
+      by_project_type: summarize(task => task.project_type || 'other')
+    };
+  }
+
+  // Subtask Methods
+  async validateParentTask(db, projectId, parentTaskId, taskId = null) {
+    const parent = await db.get(
+      'SELECT id, project_id FROM tasks WHERE id = ? AND deleted_at IS NULL',
+      [parentTaskId]
+    );
+
+    if (!parent) {
+      throw new Error(`Parent task not found: ${parentTaskId}`);
+    }
+    if (parent.project_id !== projectId) {
+      throw new Error('Parent task belongs to a different project');
+    }
+    if (taskId) {
+      const descendants = await this.getSubtaskTree(db, taskId);
+      if (parentTaskId === taskId || descendants.some(task => task.id === parentTaskId)) {
+        throw new Error('A task cannot be moved under itself or one of its own subtasks');
+      }
+    }
+  }
+
+  async getSubtaskTree(db, taskId) {
+    // Every live descendant with its depth below taskId
+    return await db.all(`
+      WITH RECURSIVE subtree(id, depth) AS (
+        SELECT id, 1 FROM tasks WHERE parent_task_id = ? AND deleted_at IS NULL
+        UNION ALL
+        SELECT t.id, s.depth + 1
+        FROM tasks t
+        JOIN subtree s ON t.parent_task_id = s.id
+        WHERE t.deleted_at IS NULL
+      )
+      SELECT t.*, s.depth FROM subtree s JOIN tasks t ON t.id = s.id
+      ORDER BY s.depth, t.created_at
+    `, [taskId]);
+  }
+
+  getSubtaskRollup(tasks) {
+    // Completed/total counts over all descendants, keyed by task id
+    const children = new Map();
+    tasks.forEach(task => {
+      if (!task.parent_task_id) return;
+      if (!children.has(task.parent_task_id)) children.set(task.parent_task_id, []);
+      children.get(task.parent_task_id).push(task);
+    });
+
+    const rollup = new Map();
+    const count = (taskId) => {
+      if (rollup.has(taskId)) return rollup.get(taskId);
+      const totals = { completed: 0, total: 0 };
+      (children.get(taskId) || []).forEach(child => {
+        const nested = count(child.id);
+        totals.total += 1 + nested.total;
+        totals.completed += (child.status === 'completed' ? 1 : 0) + nested.completed;
+      });
+      rollup.set(taskId, totals);
+      return totals;
+    };
+
+    tasks.forEach(task => count(task.id));
+    return rollup;
+  }
+
   // Task Dependency Management Methods
-  async addTaskDependency(db, projectId, parentTaskId, childTaskId, dependencyType = 'blocks') {
-    // Validate both tasks exist
-    const parentTask = await db.get('SELECT id FROM tasks WHERE id = ?', [parentTaskId]);
-    const childTask = await db.get('SELECT id FROM tasks WHERE id = ?', [childTaskId]);
+  async addTaskDependency(db, projectId, parentTaskId, childTaskId, dependencyType = 'blocks', actor = 'agent') {
+    if (!DEPENDENCY_TYPES[dependencyType]) {
+      throw new Error(`Invalid dependency_type: ${dependencyType}. Must be one of: ${Object.keys(DEPENDENCY_TYPES).join(', ')}`);
+    }
+
+    // Validate both tasks exist in this project
+    const parentTask = await db.get(
+      'SELECT id, title FROM tasks WHERE id = ? AND project_id = ? AND deleted_at IS NULL', [parentTaskId, projectId]
+    );
+    const childTask = await db.get(
+      'SELECT id, status FROM tasks WHERE id = ? AND project_id = ? AND deleted_at IS NULL', [childTaskId, projectId]
+    );
     
     if (!parentTask) {
       throw new Error(`Parent task not found: ${parentTaskId}`);
@@ -611,33 +1802,64 @@ export class Database {
     }
     
     const dependencyId = this.generateId();
+    const operationId = this.generateId();
     const now = new Date().toISOString();
     
     const result = await this.runCustom(db, `
       INSERT INTO task_dependencies 
-      (id, project_id, parent_task_id, child_task_id, dependency_type, created_at)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [dependencyId, projectId, parentTaskId, childTaskId, dependencyType, now]);
+      (id, project_id, parent_task_id, child_task_id, dependency_type, created_at, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [dependencyId, projectId, parentTaskId, childTaskId, dependencyType, now, actor]);
+
+    await this.recordAudit(db, {
+      entity_type: 'task_dependency',
+      entity_id: dependencyId,
+      action: 'create',
+      after: await this.getRow(db, 'task_dependencies', dependencyId),
+      actor,
+      operation_id: operationId
+    });
+
+    // A duplicate is closed as soon as it is linked; one undo reopens it and drops the link
+    let closedDuplicate = false;
+    if (dependencyType === 'duplicates' && childTask.status !== 'completed') {
+      await this.markTaskCompleted(db, childTaskId, `Closed as duplicate of "${parentTask.title}"`, actor, operationId, { checkDependencies: false });
+      closedDuplicate = true;
+    }
 
     return {
       dependency_id: dependencyId,
       parent_task_id: parentTaskId,
       child_task_id: childTaskId,
       dependency_type: dependencyType,
+      closed_duplicate: closedDuplicate,
       changes: result.changes
     };
   }
 
-  async removeTaskDependency(db, parentTaskId, childTaskId, dependencyType = null) {
-    let query = 'DELETE FROM task_dependencies WHERE parent_task_id = ? AND child_task_id = ?';
-    const params = [parentTaskId, childTaskId];
+  async removeTaskDependency(db, projectId, parentTaskId, childTaskId, dependencyType = null, actor = 'agent') {
+    let where = 'project_id = ? AND parent_task_id = ? AND child_task_id = ?';
+    const params = [projectId, parentTaskId, childTaskId];
     
     if (dependencyType) {
-      query += ' AND dependency_type = ?';
+      where += ' AND dependency_type = ?';
       params.push(dependencyType);
     }
     
-    const result = await this.runCustom(db, query, params);
+    const removed = await db.all(`SELECT * FROM task_dependencies WHERE ${where}`, params);
+    const result = await this.runCustom(db, `DELETE FROM task_dependencies WHERE ${where}`, params);
+
+    const operationId = this.generateId();
+    for (const dependency of removed) {
+      await this.recordAudit(db, {
+        entity_type: 'task_dependency',
+        entity_id: dependency.id,
+        action: 'delete',
+        before: dependency,
+        actor,
+        operation_id: operationId
+      });
+    }
     
     return {
       success: result.changes > 0,
@@ -654,7 +1876,7 @@ export class Database {
       SELECT td.*, pt.title as parent_title, pt.status as parent_status
       FROM task_dependencies td
       JOIN tasks pt ON pt.id = td.parent_task_id
-      WHERE td.child_task_id = ?
+      WHERE td.child_task_id = ? AND pt.deleted_at IS NULL
     `, [taskId]);
 
     // Get tasks that depend on this task (children)
@@ -662,7 +1884,7 @@ export class Database {
       SELECT td.*, ct.title as child_title, ct.status as child_status
       FROM task_dependencies td
       JOIN tasks ct ON ct.id = td.child_task_id
-      WHERE td.parent_task_id = ?
+      WHERE td.parent_task_id = ? AND ct.deleted_at IS NULL
     `, [taskId]);
 
     return {
@@ -702,445 +1924,2786 @@ export class Database {
     return false;
   }
 
-  async getTasksBlockedBy(db, taskId) {
-    // Get all tasks that are blocked by the given task
-    return await db.all(`
-      SELECT t.*, td.dependency_type
-      FROM tasks t
-      JOIN task_dependencies td ON t.id = td.child_task_id
-      WHERE td.parent_task_id = ? AND td.dependency_type = 'blocks'
-    `, [taskId]);
-  }
+  // Bulk Task Methods
+  async bulkTasks(projectPath, { branch = null, operations = [], dependencies = [], actor = 'agent' } = {}) {
+    if (!Array.isArray(operations) || !Array.isArray(dependencies)) {
+      throw new Error('operations and dependencies must be arrays');
+    }
+    if (operations.length === 0 && dependencies.length === 0) {
+      throw new Error('Provide at least one operation or dependency');
+    }
 
-  async canCompleteTask(db, taskId) {
-    // Check if all dependencies are satisfied
-    const dependencies = await db.all(`
-      SELECT pt.id, pt.title, pt.status, td.dependency_type
-      FROM task_dependencies td
-      JOIN tasks pt ON pt.id = td.parent_task_id
-      WHERE td.child_task_id = ? AND td.dependency_type IN ('blocks', 'prerequisite')
-    `, [taskId]);
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
 
-    const unsatisfiedDeps = dependencies.filter(dep => dep.status !== 'completed');
-    
-    return {
-      can_complete: unsatisfiedDeps.length === 0,
-      unsatisfied_dependencies: unsatisfiedDeps
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    // Temporary ids let later entries refer to tasks created earlier in the same batch
+    const idMap = {};
+    const resolve = (id) => (id && idMap[id]) || id;
+    const results = [];
+    const links = [];
+
+    const apply = async (index, label, work) => {
+      try {
+        return await work();
+      } catch (error) {
+        throw new Error(`${label} ${index + 1} failed: ${error.message}`);
+      }
     };
-  }
 
-  // Blocker Management Methods
-  async createBlocker(db, projectId, blockerData) {
-    const blockerId = this.generateId();
-    const { 
-      title, 
-      description, 
-      blocker_type = 'external', 
-      severity = 'medium', 
-      owner, 
-      external_ref 
-    } = blockerData;
-    
-    if (!title) {
-      throw new Error('title is required for blocker creation');
+    const operationId = this.generateId();
+    db.operationId = operationId;
+    try {
+      await this.runInTransaction(db, async () => {
+        for (const [index, operation] of operations.entries()) {
+          await apply(index, 'Operation', async () => {
+            const { action, temp_id, task_id, cascade = false, ...fields } = operation;
+            if (!BULK_TASK_ACTIONS.includes(action)) {
+              throw new Error(`Invalid action: ${action}. Must be one of: ${BULK_TASK_ACTIONS.join(', ')}`);
+            }
+            if (fields.parent_task_id) {
+              fields.parent_task_id = resolve(fields.parent_task_id);
+            }
+
+            if (action === 'create') {
+              if (!fields.title) throw new Error('title is required for create');
+              if (temp_id && idMap[temp_id]) throw new Error(`Duplicate temp_id: ${temp_id}`);
+              const result = await this.createTask(db, project.id, { ...fields, actor });
+              if (temp_id) idMap[temp_id] = result.task_id;
+              results.push({ temp_id: temp_id || null, ...result });
+              return;
+            }
+
+            if (!task_id) throw new Error(`task_id is required for ${action}`);
+            const id = resolve(task_id);
+            await this.assertProjectTask(db, project, id);
+            if (action === 'update') {
+              results.push(await this.updateTask(db, id, fields, actor));
+            } else if (action === 'complete') {
+              results.push(await this.completeTask(db, id, fields.notes, actor, { cascade }));
+            } else {
+              results.push(await this.deleteTask(db, id, actor));
+            }
+          });
+        }
+
+        for (const [index, dependency] of dependencies.entries()) {
+          await apply(index, 'Dependency', async () => {
+            if (!dependency.parent_task_id || !dependency.child_task_id) {
+              throw new Error('parent_task_id and child_task_id are required');
+            }
+            links.push(await this.addTaskDependency(
+              db, project.id, resolve(dependency.parent_task_id), resolve(dependency.child_task_id),
+              dependency.dependency_type || 'blocks', actor
+            ));
+          });
+        }
+      });
+    } finally {
+      db.operationId = null;
     }
-    
-    const now = new Date().toISOString();
-    
-    const result = await this.runCustom(db, `
-      INSERT INTO blockers 
-      (id, project_id, title, description, blocker_type, severity, status, owner, external_ref, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?, ?)
-    `, [blockerId, projectId, title, description, blocker_type, severity, owner, external_ref, now]);
 
     return {
-      blocker_id: blockerId,
-      title,
-      status: 'open',
-      severity,
-      blocker_type,
-      changes: result.changes
+      project_id: project.id,
+      operation_id: operationId,
+      id_map: idMap,
+      results,
+      dependencies: links
     };
   }
 
-  async updateBlocker(db, blockerId, updates) {
-    const allowedFields = ['title', 'description', 'blocker_type', 'severity', 'status', 'owner', 'external_ref', 'resolution_notes'];
-    const updateFields = [];
-    const params = [];
-    
-    Object.entries(updates).forEach(([key, value]) => {
-      if (allowedFields.includes(key) && value !== undefined) {
-        updateFields.push(`${key} = ?`);
-        params.push(value);
+  // Search Methods
+  parseSearchQuery(query) {
+    const types = new Set();
+    const statuses = new Set();
+    const terms = [];
+
+    (String(query || '').match(/"[^"]*"\*?|\S+/g) || []).forEach(token => {
+      const facet = token.match(/^(type|status):(.+)$/i);
+      if (facet) {
+        facet[2].split(',').filter(Boolean).forEach(value => {
+          if (facet[1].toLowerCase() === 'status') {
+            statuses.add(value.toLowerCase());
+            return;
+          }
+          if (!SEARCH_TYPES[value.toLowerCase()]) {
+            throw new Error(`Invalid type facet: ${value}. Must be one of: task, decision, blocker, file`);
+          }
+          types.add(SEARCH_TYPES[value.toLowerCase()]);
+        });
+        return;
+      }
+
+      // Phrases, operators and plain or prefix words pass through; anything else is quoted
+      // so punctuation such as "database.js" is not read as FTS5 syntax
+      if (/^"[^"]+"\*?$/.test(token) || ['AND', 'OR', 'NOT'].includes(token) || /^[\p{L}\p{N}_]+\*?$/u.test(token)) {
+        terms.push(token);
+      } else if (token !== '""') {
+        terms.push(`"${token.replace(/"/g, '""')}"`);
       }
     });
-    
-    if (updateFields.length === 0) {
-      throw new Error('No valid fields to update');
-    }
-    
-    // Add resolved_at timestamp if status is being set to resolved
-    if (updates.status === 'resolved') {
-      updateFields.push('resolved_at = ?');
-      params.push(new Date().toISOString());
-    }
-    
-    updateFields.push('updated_at = CURRENT_TIMESTAMP');
-    params.push(blockerId);
-    
-    const query = `UPDATE blockers SET ${updateFields.join(', ')} WHERE id = ?`;
-    const result = await this.runCustom(db, query, params);
-    
-    if (result.changes === 0) {
-      throw new Error(`Blocker not found: ${blockerId}`);
-    }
-    
-    return {
-      blocker_id: blockerId,
-      changes: result.changes,
-      updated_fields: Object.keys(updates)
-    };
+
+    return { match: terms.join(' '), types: [...types], statuses: [...statuses] };
   }
 
-  async getBlockers(db, projectId, filters = {}) {
-    let query = 'SELECT * FROM blockers WHERE project_id = ?';
-    const params = [projectId];
-    
-    // Apply filters
-    if (filters.status) {
-      query += ' AND status = ?';
-      params.push(filters.status);
+  async search(projectPath, { query, branch = null, limit = 20, cursor = null, max_chars = null } = {}) {
+    const { match, types, statuses } = this.parseSearchQuery(query);
+    if (!match) {
+      throw new Error('Search query needs at least one term besides type: and status: facets');
     }
-    
-    if (filters.severity) {
-      query += ' AND severity = ?';
-      params.push(filters.severity);
+
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
     }
-    
-    if (filters.blocker_type) {
-      query += ' AND blocker_type = ?';
-      params.push(filters.blocker_type);
+
+    let where = 'search_index MATCH ? AND project_id = ?';
+    const params = [match, project.id];
+    if (types.length > 0) {
+      where += ` AND entity_type IN (${types.map(() => '?').join(', ')})`;
+      params.push(...types);
     }
-    
-    if (filters.owner) {
-      query += ' AND owner = ?';
-      params.push(filters.owner);
+    if (statuses.length > 0) {
+      where += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+      params.push(...statuses);
     }
-    
-    query += ' ORDER BY severity DESC, created_at DESC';
-    
-    return await db.all(query, params);
-  }
 
-  async getBlockerImpacts(db, blockerId) {
-    return await db.all(`
-      SELECT bi.*, t.title as task_title, t.status as task_status
-      FROM blocker_impacts bi
-      LEFT JOIN tasks t ON t.id = bi.task_id
-      WHERE bi.blocker_id = ?
-      ORDER BY bi.created_at
-    `, [blockerId]);
+    const offset = cursor ? this.decodeCursor(cursor) : 0;
+    const pageSize = Math.max(1, parseInt(limit, 10) || 20);
+    let total;
+    let hits;
+    try {
+      total = (await db.get(`SELECT COUNT(*) as count FROM search_index WHERE ${where}`, params)).count;
+      // Title matches weigh ten times as much as body matches
+      hits = await db.all(`
+        SELECT entity_type, entity_id, status,
+               highlight(search_index, 4, '**', '**') as title,
+               snippet(search_index, 5, '**', '**', '…', 12) as snippet,
+               bm25(search_index, 0, 0, 0, 0, 10.0, 1.0) as relevance
+        FROM search_index
+        WHERE ${where}
+        ORDER BY relevance
+        LIMIT ? OFFSET ?
+      `, [...params, pageSize, offset]);
+    } catch (error) {
+      if (/fts5|syntax/i.test(error.message)) {
+        throw new Error(`Invalid search query "${query}": ${error.message}`);
+      }
+      throw error;
+    }
+
+    const results = hits.map(({ relevance, ...hit }) => ({ ...hit, score: Math.round(-relevance * 1000) / 1000 }));
+    const page = {
+      rows: results,
+      total,
+      offset,
+      next_cursor: offset + results.length < total ? this.encodeCursor(offset + results.length) : null
+    };
+    // Hits are already one-line summaries, so the budget only drops trailing hits
+    const fitted = this.fitQueryPage(page, { max_chars, detail: 'full' }, shown => JSON.stringify(shown.rows));
+
+    return {
+      project_id: project.id,
+      query,
+      match,
+      facets: { types, statuses },
+      total,
+      offset,
+      results: fitted.rows,
+      next_cursor: fitted.next_cursor
+    };
   }
 
-  async addBlockerImpact(db, blockerId, taskId, impactData = {}) {
-    const impactId = this.generateId();
-    const { 
-      impact_type = 'blocks', 
-      impact_description, 
-      estimated_delay 
-    } = impactData;
-    
-    const now = new Date().toISOString();
-    
-    const result = await this.runCustom(db, `
-      INSERT INTO blocker_impacts 
-      (id, blocker_id, task_id, impact_type, impact_description, estimated_delay, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [impactId, blockerId, taskId, impact_type, impact_description, estimated_delay, now]);
+  // Plan Import Methods
+  parsePlanMarkdown(markdown) {
+    // "- [ ] title", "* [x] title" or "1. [ ] title"; numbered siblings run in order
+    const pattern = /^(\s*)(?:[-*+]|(\d+)[.)])\s+\[([ xX])\]\s+(.+)$/;
+    const items = [];
+    const stack = [];
+    const lastNumbered = new Map();
 
-    return {
-      impact_id: impactId,
-      blocker_id: blockerId,
-      task_id: taskId,
-      impact_type,
-      changes: result.changes
+    String(markdown || '').split(/\r?\n/).forEach((line, index) => {
+      const match = line.match(pattern);
+      if (!match) return;
+
+      const indent = match[1].replace(/\t/g, '    ').length;
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+      const parent = stack.length > 0 ? stack[stack.length - 1].item : null;
+
+      let text = match[4];
+      let priority = null;
+      let assignee = null;
+      text = text.replace(/(^|\s)!(high|medium|low)\b/gi, (_, space, value) => {
+        priority = value.toLowerCase();
+        return space;
+      });
+      text = text.replace(/(^|\s)@([\w.-]+)/g, (_, space, value) => {
+        assignee = value;
+        return space;
+      });
+      const title = text.replace(/\s+/g, ' ').trim();
+      if (!title) return;
+
+      const item = {
+        line: index + 1,
+        title,
+        completed: match[3] !== ' ',
+        priority,
+        assignee,
+        parent,
+        after: null
+      };
+
+      const siblingKey = parent ? parent.line : 0;
+      if (match[2] !== undefined) {
+        item.after = lastNumbered.get(siblingKey) || null;
+        lastNumbered.set(siblingKey, item);
+      } else {
+        lastNumbered.delete(siblingKey);
+      }
+
+      items.push(item);
+      stack.push({ indent, item });
+    });
+
+    return items;
+  }
+
+  async importPlan(projectPath, { branch = null, markdown, dry_run = false, actor = 'agent' } = {}) {
+    const items = this.parsePlanMarkdown(markdown);
+    if (items.length === 0) {
+      throw new Error('No checklist items found. Use "- [ ] task" lines, indented for subtasks');
+    }
+
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    // Re-imports match existing tasks by title under the same parent
+    const existing = new Map();
+    (await db.all('SELECT * FROM tasks WHERE project_id = ? AND deleted_at IS NULL ORDER BY created_at', [project.id]))
+      .forEach(task => {
+        const key = `${task.parent_task_id || ''}\u0000${task.title}`;
+        if (!existing.has(key)) existing.set(key, task);
+      });
+
+    const operations = [];
+    const completions = [];
+    const plan = [];
+    const refs = new Map();
+
+    items.forEach(item => {
+      const parentRef = item.parent ? refs.get(item.parent) : null;
+      const match = parentRef && parentRef.startsWith('line-') ? null : existing.get(`${parentRef || ''}\u0000${item.title}`);
+
+      if (!match) {
+        const tempId = `line-${item.line}`;
+        refs.set(item, tempId);
+        operations.push({
+          action: 'create', temp_id: tempId, title: item.title, parent_task_id: parentRef || undefined,
+          priority: item.priority || undefined, assignee: item.assignee || undefined
+        });
+        if (item.completed) completions.push({ item, ref: tempId });
+        plan.push({ line: item.line, title: item.title, action: 'create', task_id: null });
+        return;
+      }
+
+      refs.set(item, match.id);
+      const updates = {};
+      if (item.priority && item.priority !== match.priority) updates.priority = item.priority;
+      if (item.assignee && item.assignee !== match.assignee) updates.assignee = item.assignee;
+      if (!item.completed && match.status === 'completed') updates.status = 'todo';
+      if (Object.keys(updates).length > 0) {
+        operations.push({ action: 'update', task_id: match.id, ...updates });
+      }
+      if (item.completed && match.status !== 'completed') completions.push({ item, ref: match.id });
+
+      const changed = Object.keys(updates).length > 0 || (item.completed && match.status !== 'completed');
+      plan.push({ line: item.line, title: item.title, action: changed ? 'update' : 'unchanged', task_id: match.id });
+    });
+
+    // Subtasks complete before their parents
+    const depth = (item) => item.parent ? depth(item.parent) + 1 : 0;
+    completions.sort((a, b) => depth(b.item) - depth(a.item))
+      .forEach(({ ref }) => operations.push({ action: 'complete', task_id: ref }));
+
+    const dependencies = [];
+    for (const item of items.filter(entry => entry.after)) {
+      const parentRef = refs.get(item.after);
+      const childRef = refs.get(item);
+      const linked = !parentRef.startsWith('line-') && !childRef.startsWith('line-') && await db.get(`
+        SELECT id FROM task_dependencies WHERE parent_task_id = ? AND child_task_id = ? AND dependency_type = 'blocks'
+      `, [parentRef, childRef]);
+      if (!linked) {
+        dependencies.push({ parent_task_id: parentRef, child_task_id: childRef, dependency_type: 'blocks' });
+      }
+    }
+
+    const summary = {
+      project_id: project.id,
+      dry_run,
+      created: plan.filter(entry => entry.action === 'create').length,
+      updated: plan.filter(entry => entry.action === 'update').length,
+      unchanged: plan.filter(entry => entry.action === 'unchanged').length,
+      dependencies_added: dependencies.length
     };
+
+    if (dry_run || (operations.length === 0 && dependencies.length === 0)) {
+      return { ...summary, tasks: plan };
+    }
+
+    const result = await this.bulkTasks(projectPath, { branch, operations, dependencies, actor });
+    plan.forEach(entry => {
+      entry.task_id = entry.task_id || result.id_map[`line-${entry.line}`];
+    });
+
+    return { ...summary, operation_id: result.operation_id, tasks: plan };
   }
 
-  async removeBlockerImpact(db, blockerId, taskId, impactType = null) {
-    let query = 'DELETE FROM blocker_impacts WHERE blocker_id = ? AND task_id = ?';
-    const params = [blockerId, taskId];
-    
-    if (impactType) {
-      query += ' AND impact_type = ?';
-      params.push(impactType);
+  // Plan Export Methods
+  async buildPlanSnapshot(projectPath, branch = null) {
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
     }
-    
-    const result = await this.runCustom(db, query, params);
-    
+
+    // Every list has a total order so unchanged rows always render identically
+    const priorityOrder = "CASE priority WHEN 'high' THEN 0 WHEN 'medium' THEN 1 WHEN 'low' THEN 2 ELSE 3 END";
+    const severityOrder = "CASE severity WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 WHEN 'low' THEN 3 ELSE 4 END";
+    const tasks = await db.all(`
+      SELECT * FROM tasks WHERE project_id = ? AND deleted_at IS NULL
+      ORDER BY ${priorityOrder}, created_at, id
+    `, [project.id]);
+    const decisions = await db.all(`
+      SELECT * FROM decisions WHERE project_id = ? AND deleted_at IS NULL
+      ORDER BY adr_number, created_at, id
+    `, [project.id]);
+    const blockers = await db.all(`
+      SELECT * FROM blockers WHERE project_id = ? AND deleted_at IS NULL
+      ORDER BY ${severityOrder}, created_at, id
+    `, [project.id]);
+    const impacts = await db.all(`
+      SELECT bi.blocker_id, bi.impact_type, t.title
+      FROM blocker_impacts bi
+      JOIN tasks t ON t.id = bi.task_id AND t.deleted_at IS NULL
+      JOIN blockers b ON b.id = bi.blocker_id
+      WHERE b.project_id = ?
+      ORDER BY t.title, bi.impact_type
+    `, [project.id]);
+    const files = await db.all(`
+      SELECT * FROM file_mappings WHERE project_id = ? AND deleted_at IS NULL
+      ORDER BY file_path
+    `, [project.id]);
+
+    const snapshot = {
+      'PLAN.md': this.renderPlanMarkdown(project, tasks),
+      'blockers.md': this.renderBlockersMarkdown(blockers, impacts),
+      'files.yaml': this.renderFilesYaml(files.map(file => this.parseJsonColumns('file_mappings', file))),
+      'snapshot.json': JSON.stringify(await this.getSnapshotData(db, project), null, 2) + '\n'
+    };
+
+    // Decisions imported without a stored number follow the highest one
+    let unnumbered = Math.max(0, ...decisions.map(decision => decision.adr_number || 0));
+    decisions.forEach(decision => {
+      const number = String(decision.adr_number || ++unnumbered).padStart(3, '0');
+      const slug = decision.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'decision';
+      snapshot[`decisions/${number}-${slug}.md`] = this.renderDecisionMarkdown(number, this.parseJsonColumns('decisions', decision));
+    });
+
+    return { project_id: project.id, files: snapshot };
+  }
+
+  async exportPlan(projectPath, { branch = null, output_dir = null } = {}) {
+    const fs = await import('fs');
+    const { project_id, files } = await this.buildPlanSnapshot(projectPath, branch);
+    const outputDir = output_dir || join(projectPath, 'planning');
+
+    fs.mkdirSync(join(outputDir, 'decisions'), { recursive: true });
+
+    // Decisions deleted since the last export should disappear from the tree too
+    const removed = fs.readdirSync(join(outputDir, 'decisions'))
+      .filter(name => /^\d{3}-.*\.md$/.test(name) && !files[`decisions/${name}`])
+      .map(name => `decisions/${name}`);
+    removed.forEach(path => fs.unlinkSync(join(outputDir, path)));
+
+    const written = [];
+    const unchanged = [];
+    Object.keys(files).sort().forEach(path => {
+      const target = join(outputDir, path);
+      if (fs.existsSync(target) && fs.readFileSync(target, 'utf8') === files[path]) {
+        unchanged.push(path);
+        return;
+      }
+      fs.writeFileSync(target, files[path]);
+      written.push(path);
+    });
+
+    return { project_id, output_dir: outputDir, written, unchanged, removed };
+  }
+
+  async getSnapshotData(db, project) {
+    // Raw rows with ids and timestamps, so import_snapshot can merge them back exactly
+    const rows = {
+      tasks: await db.all('SELECT * FROM tasks WHERE project_id = ? AND deleted_at IS NULL ORDER BY created_at, id', [project.id]),
+      task_dependencies: await db.all(`
+        SELECT td.* FROM task_dependencies td
+        JOIN tasks pt ON pt.id = td.parent_task_id AND pt.deleted_at IS NULL
+        JOIN tasks ct ON ct.id = td.child_task_id AND ct.deleted_at IS NULL
+        WHERE td.project_id = ?
+        ORDER BY td.created_at, td.id
+      `, [project.id]),
+      decisions: await db.all('SELECT * FROM decisions WHERE project_id = ? AND deleted_at IS NULL ORDER BY created_at, id', [project.id]),
+      blockers: await db.all('SELECT * FROM blockers WHERE project_id = ? AND deleted_at IS NULL ORDER BY created_at, id', [project.id]),
+      blocker_impacts: await db.all(`
+        SELECT bi.* FROM blocker_impacts bi
+        JOIN blockers b ON b.id = bi.blocker_id AND b.deleted_at IS NULL
+        WHERE b.project_id = ?
+        ORDER BY bi.created_at, bi.id
+      `, [project.id]),
+      file_mappings: await db.all('SELECT * FROM file_mappings WHERE project_id = ? AND deleted_at IS NULL ORDER BY file_path', [project.id])
+    };
+
     return {
-      success: result.changes > 0,
-      message: result.changes > 0 
-        ? `Removed blocker impact: ${blockerId} -> ${taskId}`
-        : `No impact found: ${blockerId} -> ${taskId}`,
-      changes: result.changes
+      format: SNAPSHOT_FORMAT,
+      schema_version: this.getMigrations().at(-1).version,
+      project,
+      ...rows
     };
   }
 
-  async getTasksBlockedByBlockers(db, projectId) {
+  async importSnapshot(projectPath, { source = null, snapshot = null, branch = null, dry_run = false, actor = 'import' } = {}) {
+    if (!snapshot) {
+      const fs = await import('fs');
+      let file = source || join(projectPath, 'planning');
+      if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        file = join(file, 'snapshot.json');
+      }
+      if (!fs.existsSync(file)) {
+        throw new Error(`Snapshot not found: ${file}. Run export_plan first`);
+      }
+      snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    if (snapshot.format !== SNAPSHOT_FORMAT || !snapshot.project) {
+      throw new Error(`Not a planning snapshot: expected format "${SNAPSHOT_FORMAT}"`);
+    }
+
+    // Project ids are kept, so a snapshot can only be imported into the branch it was exported from
+    if (branch && snapshot.project.branch !== branch) {
+      throw new Error(`Snapshot was exported from branch ${snapshot.project.branch}, not ${branch}; pass branch "${snapshot.project.branch}" to import it`);
+    }
+
+    // Opening the database runs any pending migrations before rows are merged
+    const db = await this.getProjectDatabase(projectPath);
+    const schemaVersion = this.getMigrations().at(-1).version;
+    if (snapshot.schema_version > schemaVersion) {
+      throw new Error(`Snapshot schema version ${snapshot.schema_version} is newer than this server (${schemaVersion}); upgrade first`);
+    }
+
+    const project = snapshot.project;
+    const active = await this.getCurrentActiveProject(db, project.branch);
+    if (active && active.id !== project.id) {
+      throw new Error(`Branch ${project.branch} already has a different active project (${active.id}); clear it or import elsewhere`);
+    }
+
+    const entityTypes = { projects: 'project' };
+    Object.entries(UNDOABLE_TABLES).forEach(([type, table]) => {
+      entityTypes[table] = type;
+    });
+
+    const result = { project_id: project.id, dry_run, created: [], updated: [], unchanged: 0, conflicts: [] };
+
+    const merge = async (table, snapshotRow) => {
+      // Columns from an older schema are kept; ones this schema does not know are dropped
+      const columns = new Set((await db.all(`PRAGMA table_info(${table})`)).map(column => column.name));
+      const row = Object.fromEntries(Object.entries(snapshotRow).filter(([column]) => columns.has(column)));
+      const local = await this.getRow(db, table, row.id);
+      const label = { table, id: row.id, title: row.title || row.file_path || null };
+
+      if (!local) {
+        result.created.push(label);
+        if (dry_run) return;
+        await this.insertRow(db, table, row);
+        await this.recordAudit(db, {
+          project_id: project.id, entity_type: entityTypes[table], entity_id: row.id, action: 'create', after: await this.getRow(db, table, row.id), actor
+        });
+        return;
+      }
+
+      const differs = Object.keys(row).some(column => column !== 'updated_at' && row[column] !== local[column]);
+      if (!differs) {
+        result.unchanged++;
+        return;
+      }
+
+      const snapshotTime = this.timestampValue(row.updated_at);
+      const localTime = this.timestampValue(local.updated_at);
+      if (!columns.has('updated_at') || snapshotTime <= localTime) {
+        // Never overwrite a local edit that is as new as or newer than the snapshot
+        result.conflicts.push({ ...label, local_updated_at: local.updated_at || null, snapshot_updated_at: row.updated_at || null });
+        return;
+      }
+
+      result.updated.push(label);
+      if (dry_run) return;
+      const fields = Object.keys(row).filter(column => column !== 'id');
+      await db.run(
+        `UPDATE ${table} SET ${fields.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(column => row[column]), row.id]
+      );
+      await this.recordAudit(db, {
+        project_id: project.id, entity_type: entityTypes[table], entity_id: row.id, action: 'update', before: local, after: await this.getRow(db, table, row.id), actor
+      });
+    };
+
+    const apply = async () => {
+      // Parent tasks and superseding decisions may come later in the file
+      if (!dry_run) await db.run('PRAGMA defer_foreign_keys = ON');
+      await merge('projects', project);
+      for (const table of SNAPSHOT_TABLES) {
+        for (const row of snapshot[table] || []) {
+          await merge(table, row);
+        }
+      }
+    };
+
+    if (dry_run) {
+      await apply();
+      return result;
+    }
+
+    db.operationId = this.generateId();
+    try {
+      await this.runInTransaction(db, apply);
+    } finally {
+      db.operationId = null;
+    }
+
+    return result;
+  }
+
+  timestampValue(value) {
+    if (!value) return 0;
+    // CURRENT_TIMESTAMP values are UTC without a zone designator
+    const text = String(value);
+    const iso = /[zZ]$|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`;
+    return new Date(iso).getTime() || 0;
+  }
+
+  renderPlanMarkdown(project, tasks) {
+    let text = `# ${project.name}\n\n` +
+               `- **Branch:** ${project.branch}\n` +
+               `- **Type:** ${project.project_type}\n` +
+               `- **Status:** ${project.status}\n\n` +
+               `## Goal\n\n${project.goal}\n\n` +
+               `## Scope\n\n${project.scope}\n\n` +
+               `## Tasks\n`;
+
+    // Checklist lines use the import_plan syntax; subtasks nest under a parent in the same group
+    const groups = [['in-progress', 'In Progress'], ['todo', 'To Do'], ['blocked', 'Blocked'], ['completed', 'Completed']];
+    groups.forEach(([status, heading]) => {
+      const group = tasks.filter(task => task.status === status);
+      text += `\n### ${heading} (${group.length})\n\n`;
+      if (group.length === 0) {
+        text += `_None_\n`;
+        return;
+      }
+
+      const ids = new Set(group.map(task => task.id));
+      const render = (task, depth) => {
+        text += `${'  '.repeat(depth)}- [${task.status === 'completed' ? 'x' : ' '}] ${task.title} !${task.priority}` +
+                `${task.assignee ? ` @${task.assignee}` : ''}\n`;
+        group.filter(child => child.parent_task_id === task.id).forEach(child => render(child, depth + 1));
+      };
+      group.filter(task => !ids.has(task.parent_task_id)).forEach(task => render(task, 0));
+    });
+
+    return text;
+  }
+
+  renderDecisionMarkdown(number, decision) {
+    let text = `# ${number}. ${decision.title}\n\n` +
+               `- **Status:** ${decision.status}\n` +
+               `- **Type:** ${decision.decision_type}\n` +
+               `- **Date:** ${decision.decision_date}\n` +
+               `- **Decided by:** ${decision.made_by}\n`;
+    if ((decision.tags || []).length > 0) {
+      text += `- **Tags:** ${decision.tags.join(', ')}\n`;
+    }
+
+    if (decision.context) {
+      text += `\n## Context\n\n${decision.context}\n`;
+    }
+    text += `\n## Decision\n\n${decision.description}\n`;
+    if (decision.rationale) {
+      text += `\n## Rationale\n\n${decision.rationale}\n`;
+    }
+    if ((decision.alternatives_considered || []).length > 0) {
+      text += `\n## Alternatives Considered\n\n`;
+      decision.alternatives_considered.forEach(alternative => {
+        text += `- ${typeof alternative === 'string' ? alternative : JSON.stringify(alternative)}\n`;
+      });
+    }
+    if ((decision.impacts || []).length > 0) {
+      text += `\n## Consequences\n\n`;
+      decision.impacts.forEach(impact => {
+        text += `- ${typeof impact === 'string' ? impact : JSON.stringify(impact)}\n`;
+      });
+    }
+
+    return text;
+  }
+
+  renderBlockersMarkdown(blockers, impacts) {
+    let text = `# Blockers\n`;
+    const groups = [
+      ['Open', blockers.filter(blocker => ['open', 'in-progress'].includes(blocker.status))],
+      ['Resolved', blockers.filter(blocker => !['open', 'in-progress'].includes(blocker.status))]
+    ];
+
+    groups.forEach(([heading, group]) => {
+      text += `\n## ${heading} (${group.length})\n`;
+      if (group.length === 0) {
+        text += `\n_None_\n`;
+      }
+      group.forEach(blocker => {
+        text += `\n### ${blocker.title}\n\n` +
+                `- **Severity:** ${blocker.severity}\n` +
+                `- **Type:** ${blocker.blocker_type}\n` +
+                `- **Status:** ${blocker.status}\n` +
+                `- **Raised:** ${blocker.created_at}\n`;
+        if (blocker.owner) text += `- **Owner:** ${blocker.owner}\n`;
+        if (blocker.external_ref) text += `- **Reference:** ${blocker.external_ref}\n`;
+        if (blocker.resolved_at) text += `- **Resolved:** ${blocker.resolved_at}\n`;
+
+        const affected = impacts.filter(impact => impact.blocker_id === blocker.id);
+        if (affected.length > 0) {
+          text += `- **Impacts:** ${affected.map(impact => `${impact.title} (${impact.impact_type})`).join(', ')}\n`;
+        }
+        if (blocker.description) text += `\n${blocker.description}\n`;
+        if (blocker.resolution_notes) text += `\n**Resolution:** ${blocker.resolution_notes}\n`;
+      });
+    });
+
+    return text;
+  }
+
+  renderFilesYaml(files) {
+    if (files.length === 0) {
+      return 'files: []\n';
+    }
+
+    // JSON strings and arrays are valid YAML flow scalars, which keeps quoting unambiguous
+    const fields = [
+      ['file_type', 'type'], ['purpose', 'purpose'], ['importance_score', 'importance'], ['complexity_score', 'complexity'],
+      ['key_functions', 'key_functions'], ['dependencies', 'dependencies'], ['dependents', 'dependents'],
+      ['analysis_summary', 'summary'], ['notes', 'notes']
+    ];
+    let text = 'files:\n';
+    files.forEach(file => {
+      text += `  - path: ${JSON.stringify(file.file_path)}\n`;
+      fields.forEach(([column, key]) => {
+        const value = file[column];
+        if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return;
+        text += `    ${key}: ${JSON.stringify(value)}\n`;
+      });
+    });
+    return text;
+  }
+
+  async getTasksBlockedBy(db, taskId) {
+    // Get all tasks that are blocked by the given task
     return await db.all(`
-      SELECT DISTINCT t.*, 
-             GROUP_CONCAT(b.title) as blocking_issues,
-             COUNT(bi.id) as blocker_count
+      SELECT t.*, td.dependency_type
       FROM tasks t
-      JOIN blocker_impacts bi ON t.id = bi.task_id
-      JOIN blockers b ON b.id = bi.blocker_id
-      WHERE t.project_id = ? AND b.status IN ('open', 'in-progress')
-      GROUP BY t.id
-      ORDER BY blocker_count DESC, t.priority DESC
-    `, [projectId]);
+      JOIN task_dependencies td ON t.id = td.child_task_id
+      WHERE td.parent_task_id = ? AND td.dependency_type = 'blocks' AND t.deleted_at IS NULL
+    `, [taskId]);
   }
 
-  async deleteBlocker(db, blockerId) {
-    const result = await this.runCustom(db, 'DELETE FROM blockers WHERE id = ?', [blockerId]);
+  async canCompleteTask(db, taskId) {
+    // Check if all dependencies are satisfied
+    const dependencies = await db.all(`
+      SELECT pt.id, pt.title, pt.status, td.dependency_type
+      FROM task_dependencies td
+      JOIN tasks pt ON pt.id = td.parent_task_id
+      WHERE td.child_task_id = ? AND td.dependency_type IN (${GATING_DEPENDENCY_TYPES.map(() => '?').join(', ')})
+        AND pt.deleted_at IS NULL
+    `, [taskId, ...GATING_DEPENDENCY_TYPES]);
+
+    // Subtask links gate the other way round: the parent waits for its subtasks
+    const subtasks = await db.all(`
+      SELECT ct.id, ct.title, ct.status, td.dependency_type
+      FROM task_dependencies td
+      JOIN tasks ct ON ct.id = td.child_task_id
+      WHERE td.parent_task_id = ? AND td.dependency_type = 'subtask' AND ct.deleted_at IS NULL
+    `, [taskId]);
+
+    const unsatisfiedDeps = [...dependencies, ...subtasks].filter(dep => dep.status !== 'completed');
     
-    if (result.changes === 0) {
-      throw new Error(`Blocker not found: ${blockerId}`);
+    return {
+      can_complete: unsatisfiedDeps.length === 0,
+      unsatisfied_dependencies: unsatisfiedDeps
+    };
+  }
+
+  // The one readiness rule shared by plan_analysis and the dashboard: a todo task whose gating
+  // dependencies and subtasks are completed, whose start-to-start parents have started, and
+  // that no open blocker hits
+  async getReadyTaskIds(db, projectId) {
+    const rows = await db.all(`
+      SELECT t.id FROM tasks t
+      WHERE t.project_id = ? AND t.deleted_at IS NULL AND t.status = 'todo'
+        AND NOT EXISTS (
+          SELECT 1 FROM task_dependencies td
+          JOIN tasks pt ON pt.id = td.parent_task_id AND pt.deleted_at IS NULL
+          WHERE td.child_task_id = t.id AND (
+            (td.dependency_type IN (${GATING_DEPENDENCY_TYPES.map(() => '?').join(', ')}) AND pt.status != 'completed') OR
+            (td.dependency_type = 'start-to-start' AND pt.status NOT IN ('in-progress', 'completed'))
+          )
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM task_dependencies td
+          JOIN tasks ct ON ct.id = td.child_task_id AND ct.deleted_at IS NULL
+          WHERE td.parent_task_id = t.id AND td.dependency_type = 'subtask' AND ct.status != 'completed'
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM blocker_impacts bi
+          JOIN blockers b ON b.id = bi.blocker_id
+          WHERE bi.task_id = t.id AND b.deleted_at IS NULL AND b.status IN ('open', 'in-progress')
+        )
+    `, [projectId, ...GATING_DEPENDENCY_TYPES]);
+    return new Set(rows.map(row => row.id));
+  }
+
+  async canStartTask(db, taskId) {
+    const dependencies = await db.all(`
+      SELECT pt.id, pt.title, pt.status, td.dependency_type
+      FROM task_dependencies td
+      JOIN tasks pt ON pt.id = td.parent_task_id
+      WHERE td.child_task_id = ? AND td.dependency_type = 'start-to-start' AND pt.deleted_at IS NULL
+    `, [taskId]);
+
+    const unstartedDeps = dependencies.filter(dep => !['in-progress', 'completed'].includes(dep.status));
+
+    return {
+      can_start: unstartedDeps.length === 0,
+      unstarted_dependencies: unstartedDeps
+    };
+  }
+
+  // Graph Export Methods
+  async getDependencyGraph(projectPath, { branch = null, root_task_id = null, direction = 'both', include_blockers = false } = {}) {
+    if (!GRAPH_DIRECTIONS.includes(direction)) {
+      throw new Error(`Invalid direction: ${direction}. Must be one of: ${GRAPH_DIRECTIONS.join(', ')}`);
     }
-    
+
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    const tasks = await db.all(`
+      SELECT id, title, status, priority, assignee FROM tasks
+      WHERE project_id = ? AND deleted_at IS NULL
+      ORDER BY created_at
+    `, [project.id]);
+    const taskIds = new Set(tasks.map(task => task.id));
+    const dependencies = (await db.all(`
+      SELECT parent_task_id, child_task_id, dependency_type FROM task_dependencies
+      WHERE project_id = ?
+      ORDER BY created_at
+    `, [project.id])).filter(dep => taskIds.has(dep.parent_task_id) && taskIds.has(dep.child_task_id));
+
+    let included = taskIds;
+    if (root_task_id) {
+      if (!taskIds.has(root_task_id)) {
+        throw new Error(`Task ${root_task_id} not found in the current project`);
+      }
+
+      // Walk the dependency edges away from the root in the requested direction(s)
+      included = new Set([root_task_id]);
+      const walk = (from, to) => {
+        const stack = [root_task_id];
+        while (stack.length > 0) {
+          const current = stack.pop();
+          dependencies.filter(dep => dep[from] === current).forEach(dep => {
+            if (!included.has(dep[to])) {
+              included.add(dep[to]);
+              stack.push(dep[to]);
+            }
+          });
+        }
+      };
+      if (direction !== 'downstream') walk('child_task_id', 'parent_task_id');
+      if (direction !== 'upstream') walk('parent_task_id', 'child_task_id');
+    }
+
+    const nodes = tasks.filter(task => included.has(task.id)).map(task => ({ type: 'task', ...task }));
+    const edges = dependencies
+      .filter(dep => included.has(dep.parent_task_id) && included.has(dep.child_task_id))
+      .map(dep => ({ from: dep.parent_task_id, to: dep.child_task_id, type: dep.dependency_type }));
+
+    if (include_blockers) {
+      const impacts = (await db.all(`
+        SELECT b.id, b.title, b.severity, b.status, bi.task_id, bi.impact_type
+        FROM blockers b
+        JOIN blocker_impacts bi ON bi.blocker_id = b.id
+        WHERE b.project_id = ? AND b.status IN ('open', 'in-progress') AND b.deleted_at IS NULL
+        ORDER BY b.created_at
+      `, [project.id])).filter(impact => included.has(impact.task_id));
+
+      const seen = new Set();
+      impacts.forEach(impact => {
+        if (!seen.has(impact.id)) {
+          seen.add(impact.id);
+          nodes.push({ type: 'blocker', id: impact.id, title: impact.title, status: impact.status, severity: impact.severity });
+        }
+        edges.push({ from: impact.id, to: impact.task_id, type: impact.impact_type });
+      });
+    }
+
+    return { project_id: project.id, root_task_id, direction: root_task_id ? direction : null, nodes, edges };
+  }
+
+  renderDependencyGraph(graph, format) {
+    if (!GRAPH_FORMATS.includes(format)) {
+      throw new Error(`Invalid format: ${format}. Must be one of: ${GRAPH_FORMATS.join(', ')}`);
+    }
+
+    if (format === 'json') {
+      return JSON.stringify({ nodes: graph.nodes, edges: graph.edges }, null, 2);
+    }
+
+    const fill = (node) => GRAPH_STATUS_COLORS[node.type === 'blocker' ? 'blocker' : node.status] || GRAPH_STATUS_COLORS.todo;
+    const fromBlocker = (edge) => graph.nodes.find(node => node.id === edge.from)?.type === 'blocker';
+    const label = (node) => node.type === 'blocker'
+      ? `⛔ ${node.title} (${node.severity})`
+      : `${node.title} [${node.status}]`;
+
+    if (format === 'dot') {
+      const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+      const edgeStyle = (edge) => {
+        if (fromBlocker(edge)) return 'style=dashed, color="#dc2626"';
+        return DEPENDENCY_TYPES[edge.type]?.dot || 'style=dotted';
+      };
+
+      let text = 'digraph tasks {\n  rankdir=LR;\n  node [shape=box, style="rounded,filled", fontname="Helvetica"];\n';
+      graph.nodes.forEach(node => {
+        const shape = node.type === 'blocker' ? ', shape=octagon' : '';
+        text += `  ${quote(node.id)} [label=${quote(label(node))}, fillcolor=${quote(fill(node))}${shape}];\n`;
+      });
+      graph.edges.forEach(edge => {
+        text += `  ${quote(edge.from)} -> ${quote(edge.to)} [label=${quote(edge.type)}, ${edgeStyle(edge)}];\n`;
+      });
+      return text + '}\n';
+    }
+
+    // Mermaid ids cannot contain hyphens, so nodes get short positional ids
+    const ids = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+    const escape = (value) => String(value).replace(/"/g, '#quot;');
+    const arrow = (edge) => {
+      if (fromBlocker(edge)) return '-.->';
+      return DEPENDENCY_TYPES[edge.type]?.mermaid || '-.->';
+    };
+    const classes = new Set();
+
+    let text = 'flowchart LR\n';
+    graph.nodes.forEach(node => {
+      const cls = node.type === 'blocker' ? 'blocker' : node.status.replace(/[^a-z]/g, '');
+      classes.add(cls);
+      text += node.type === 'blocker'
+        ? `  ${ids.get(node.id)}{{"${escape(label(node))}"}}:::${cls}\n`
+        : `  ${ids.get(node.id)}["${escape(label(node))}"]:::${cls}\n`;
+    });
+    graph.edges.forEach(edge => {
+      text += `  ${ids.get(edge.from)} ${arrow(edge)}|${escape(edge.type)}| ${ids.get(edge.to)}\n`;
+    });
+    Object.entries(GRAPH_STATUS_COLORS).forEach(([status, color]) => {
+      const cls = status.replace(/[^a-z]/g, '');
+      if (classes.has(cls)) {
+        text += `  classDef ${cls} fill:${color},stroke:#374151\n`;
+      }
+    });
+    return text;
+  }
+
+  // Recommendation Methods
+  // limit caps the alternatives listed after the recommended task
+  async recommendNextTask(projectPath, { branch = null, assignee = null, start = false, limit = 5, actor = 'agent' } = {}) {
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    const rank = async () => {
+      const todo = await db.all(`
+        SELECT * FROM tasks WHERE project_id = ? AND status = 'todo' AND deleted_at IS NULL
+      `, [project.id]);
+      const blockedByBlockers = new Map(
+        (await this.getTasksBlockedByBlockers(db, project.id)).map(task => [task.id, task])
+      );
+      const priorityScore = { high: 30, medium: 20, low: 10 };
+      const severityPenalty = { critical: 100, high: 30, medium: 15, low: 5 };
+      const now = Date.now();
+      const candidates = [];
+
+      for (const task of todo) {
+        // Unfinished blocking/prerequisite parents or unstarted start-to-start parents rule a task out entirely
+        const { can_complete } = await this.canCompleteTask(db, task.id);
+        const { can_start } = await this.canStartTask(db, task.id);
+        if (!can_complete || !can_start) continue;
+
+        const reasons = [];
+        let score = priorityScore[task.priority] ?? 20;
+        reasons.push(`${task.priority || 'medium'} priority (+${score})`);
+
+        const unblocks = (await this.getTasksBlockedBy(db, task.id)).filter(child => child.status !== 'completed');
+        if (unblocks.length > 0) {
+          score += unblocks.length * 8;
+          reasons.push(`unblocks ${unblocks.length} downstream task(s) (+${unblocks.length * 8})`);
+        }
+
+        const blocked = blockedByBlockers.get(task.id);
+        if (blocked) {
+          const worst = blocked.blocker_severities.split(',')
+            .reduce((max, severity) => Math.max(max, severityPenalty[severity] || 0), 0);
+          score -= worst;
+          reasons.push(`hit by open blocker(s) ${blocked.blocking_issues} (-${worst})`);
+        }
+
+        const ageDays = Math.floor((now - new Date(`${task.created_at.replace(' ', 'T')}Z`).getTime()) / 86400000);
+        if (ageDays > 0) {
+          const ageScore = Math.min(ageDays, 14);
+          score += ageScore;
+          reasons.push(`waiting ${ageDays} day(s) (+${ageScore})`);
+        }
+
+        if (assignee) {
+          if (task.assignee === assignee) {
+            score += 15;
+            reasons.push(`assigned to ${assignee} (+15)`);
+          } else if (task.assignee) {
+            score -= 20;
+            reasons.push(`assigned to ${task.assignee} (-20)`);
+          }
+        }
+
+        candidates.push({ task: this.parseJsonColumns('tasks', task), score, reasons });
+      }
+
+      // Ties go to the older task
+      return candidates.sort((a, b) => b.score - a.score || a.task.created_at.localeCompare(b.task.created_at));
+    };
+
+    let candidates;
+    let started = false;
+
+    if (start) {
+      // Ranking and claiming share one write transaction so two agents cannot start the same task
+      await this.runInTransaction(db, async () => {
+        candidates = await rank();
+        if (candidates.length > 0) {
+          const updates = { status: 'in-progress' };
+          if (assignee && !candidates[0].task.assignee) updates.assignee = assignee;
+          await this.updateTask(db, candidates[0].task.id, updates, actor);
+          candidates[0].task = this.parseJsonColumns('tasks', await this.getRow(db, 'tasks', candidates[0].task.id));
+          started = true;
+        }
+      });
+    } else {
+      candidates = await rank();
+    }
+
+    return {
+      project_id: project.id,
+      considered: candidates.length,
+      candidate: candidates[0] || null,
+      alternatives: candidates.slice(1, limit + 1),
+      started
+    };
+  }
+
+  // Plan Analysis Methods
+  async analyzePlan(projectPath, branch = null) {
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    const tasks = await db.all(`
+      SELECT * FROM tasks WHERE project_id = ? AND deleted_at IS NULL ORDER BY created_at ASC
+    `, [project.id]);
+    const edges = await db.all(`
+      SELECT td.parent_task_id, td.child_task_id, td.dependency_type
+      FROM task_dependencies td
+      JOIN tasks pt ON pt.id = td.parent_task_id AND pt.deleted_at IS NULL
+      JOIN tasks ct ON ct.id = td.child_task_id AND ct.deleted_at IS NULL
+      WHERE td.project_id = ? AND td.dependency_type IN (${GATING_DEPENDENCY_TYPES.map(() => '?').join(', ')})
+    `, [project.id, ...GATING_DEPENDENCY_TYPES]);
+    const impacts = await db.all(`
+      SELECT bi.task_id, bi.impact_type, bi.estimated_delay, b.id as blocker_id, b.title, b.severity
+      FROM blocker_impacts bi
+      JOIN blockers b ON b.id = bi.blocker_id
+      WHERE b.project_id = ? AND b.deleted_at IS NULL AND b.status IN ('open', 'in-progress') AND bi.task_id IS NOT NULL
+    `, [project.id]);
+
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const parentsOf = new Map(tasks.map(task => [task.id, []]));
+    const childrenOf = new Map(tasks.map(task => [task.id, []]));
+    edges.forEach(edge => {
+      parentsOf.get(edge.child_task_id).push(edge.parent_task_id);
+      childrenOf.get(edge.parent_task_id).push(edge.child_task_id);
+    });
+
+    const impactsOf = new Map();
+    impacts.forEach(impact => {
+      if (!impactsOf.has(impact.task_id)) impactsOf.set(impact.task_id, []);
+      impactsOf.get(impact.task_id).push(impact);
+    });
+
+    // Kahn's algorithm; among tasks that are free at the same time, higher priority goes first
+    const priorityRank = { high: 0, medium: 1, low: 2 };
+    const byPriority = (a, b) => (priorityRank[byId.get(a).priority] ?? 1) - (priorityRank[byId.get(b).priority] ?? 1);
+    const remaining = new Map(tasks.map(task => [task.id, parentsOf.get(task.id).length]));
+    const level = new Map();
+    let frontier = tasks.filter(task => remaining.get(task.id) === 0).map(task => task.id).sort(byPriority);
+    const order = [];
+
+    while (frontier.length > 0) {
+      const taskId = frontier.shift();
+      order.push(taskId);
+      level.set(taskId, Math.max(0, ...parentsOf.get(taskId).map(parentId => level.get(parentId) + 1)));
+      childrenOf.get(taskId).forEach(childId => {
+        remaining.set(childId, remaining.get(childId) - 1);
+        if (remaining.get(childId) === 0) {
+          frontier.push(childId);
+          frontier.sort(byPriority);
+        }
+      });
+    }
+
+    const cyclic = tasks.filter(task => !level.has(task.id)).map(task => task.id);
+
+    // Points are converted with this project's own hours-per-point once there is history to calibrate on
+    const calibration = await db.get(`
+      SELECT SUM(CAST(actual_effort AS REAL)) as hours, SUM(CAST(estimated_effort AS REAL)) as points
+      FROM tasks
+      WHERE project_id = ? AND deleted_at IS NULL AND status = 'completed' AND effort_unit = 'points'
+        AND estimated_effort IS NOT NULL AND actual_effort IS NOT NULL
+    `, [project.id]);
+    const hoursPerPoint = calibration.points > 0 ? calibration.hours / calibration.points : null;
+
+    const durationOf = (task) => {
+      if (task.status === 'completed') return 0;
+      const estimate = parseFloat(task.estimated_effort);
+      if (Number.isNaN(estimate)) return null;
+      if (task.effort_unit === 'points') return hoursPerPoint === null ? null : estimate * hoursPerPoint;
+      return estimate;
+    };
+
+    // Longest remaining-work path; open blocker delays count towards the task they hit
+    const finish = new Map();
+    const via = new Map();
+    order.forEach(taskId => {
+      const task = byId.get(taskId);
+      const delay = (impactsOf.get(taskId) || []).reduce((sum, impact) => sum + (impact.estimated_delay || 0), 0);
+      let start = 0;
+      parentsOf.get(taskId).forEach(parentId => {
+        if (!via.has(taskId) || finish.get(parentId) > start) {
+          start = finish.get(parentId);
+          via.set(taskId, parentId);
+        }
+      });
+      finish.set(taskId, start + (durationOf(task) || 0) + (task.status === 'completed' ? 0 : delay));
+    });
+
+    let endTask = null;
+    order.forEach(taskId => {
+      if (endTask === null || finish.get(taskId) > finish.get(endTask)) endTask = taskId;
+    });
+
+    const path = [];
+    for (let taskId = endTask; taskId; taskId = via.get(taskId)) {
+      path.unshift(taskId);
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const summarize = (taskId) => {
+      const task = byId.get(taskId);
+      return { id: task.id, title: task.title, status: task.status, priority: task.priority };
+    };
+
+    // A blocker holds its task and, transitively, everything gated on that task
+    const heldBy = new Map();
+    impacts.forEach(impact => {
+      const stack = [[impact.task_id, impact.task_id]];
+      while (stack.length > 0) {
+        const [taskId, viaTaskId] = stack.pop();
+        if (!byId.has(taskId) || byId.get(taskId).status === 'completed') continue;
+        if (!heldBy.has(taskId)) heldBy.set(taskId, new Map());
+        if (heldBy.get(taskId).has(impact.blocker_id)) continue;
+        heldBy.get(taskId).set(impact.blocker_id, {
+          blocker_id: impact.blocker_id,
+          title: impact.title,
+          severity: impact.severity,
+          impact_type: impact.impact_type,
+          via_task_id: viaTaskId
+        });
+        childrenOf.get(taskId).forEach(childId => stack.push([childId, viaTaskId]));
+      }
+    });
+
+    const readyIds = await this.getReadyTaskIds(db, project.id);
+    const ready = order.filter(taskId => readyIds.has(taskId));
+
+    return {
+      project_id: project.id,
+      order: order.map(taskId => ({ ...summarize(taskId), level: level.get(taskId) })),
+      cycles: cyclic.map(summarize),
+      critical_path: {
+        total_hours: endTask ? round(finish.get(endTask)) : 0,
+        hours_per_point: hoursPerPoint === null ? null : round(hoursPerPoint),
+        tasks: path
+          .filter(taskId => byId.get(taskId).status !== 'completed')
+          .map(taskId => {
+            const duration = durationOf(byId.get(taskId));
+            return { ...summarize(taskId), duration_hours: duration === null ? null : round(duration) };
+          })
+      },
+      ready: ready.map(taskId => ({ ...summarize(taskId), estimated_effort: byId.get(taskId).estimated_effort, effort_unit: byId.get(taskId).effort_unit })),
+      held: [...heldBy.entries()].map(([taskId, blockers]) => ({ ...summarize(taskId), blockers: [...blockers.values()] })),
+      unestimated: tasks.filter(task => task.status !== 'completed' && durationOf(task) === null).map(task => task.id)
+    };
+  }
+
+  // Blocker Management Methods
+  async createBlocker(db, projectId, blockerData) {
+    const blockerId = this.generateId();
+    const { 
+      title, 
+      description, 
+      blocker_type = 'external', 
+      severity = 'medium', 
+      owner, 
+      external_ref,
+      created_by = 'agent'
+    } = blockerData;
+    
+    if (!title) {
+      throw new Error('title is required for blocker creation');
+    }
+    
+    const now = new Date().toISOString();
+    
+    const result = await this.runCustom(db, `
+      INSERT INTO blockers 
+      (id, project_id, title, description, blocker_type, severity, status, owner, external_ref, created_at, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?, ?, ?)
+    `, [blockerId, projectId, title, description, blocker_type, severity, owner, external_ref, now, created_by]);
+
+    await this.recordAudit(db, {
+      entity_type: 'blocker',
+      entity_id: blockerId,
+      action: 'create',
+      after: await this.getRow(db, 'blockers', blockerId),
+      actor: created_by
+    });
+
+    return {
+      blocker_id: blockerId,
+      title,
+      status: 'open',
+      severity,
+      blocker_type,
+      changes: result.changes
+    };
+  }
+
+  async updateBlocker(db, blockerId, updates, actor = 'agent') {
+    const allowedFields = ['title', 'description', 'blocker_type', 'severity', 'status', 'owner', 'external_ref', 'resolution_notes'];
+    const updateFields = [];
+    const params = [];
+    
+    Object.entries(updates).forEach(([key, value]) => {
+      if (allowedFields.includes(key) && value !== undefined) {
+        updateFields.push(`${key} = ?`);
+        params.push(value);
+      }
+    });
+    
+    if (updateFields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+    
+    // Add resolved_at timestamp if status is being set to resolved
+    if (updates.status === 'resolved') {
+      updateFields.push('resolved_at = ?');
+      params.push(new Date().toISOString());
+    }
+    
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(blockerId);
+    
+    const query = `UPDATE blockers SET ${updateFields.join(', ')} WHERE id = ? AND deleted_at IS NULL`;
+    const before = await this.getRow(db, 'blockers', blockerId);
+    const result = await this.runCustom(db, query, params);
+    
+    if (result.changes === 0) {
+      throw new Error(`Blocker not found: ${blockerId}`);
+    }
+
+    await this.recordAudit(db, {
+      entity_type: 'blocker',
+      entity_id: blockerId,
+      action: updates.status === 'resolved' ? 'resolve' : 'update',
+      before,
+      after: await this.getRow(db, 'blockers', blockerId),
+      actor
+    });
+    
+    return {
+      blocker_id: blockerId,
+      changes: result.changes,
+      updated_fields: Object.keys(updates)
+    };
+  }
+
+  async getBlockers(db, projectId, filters = {}) {
+    let query = 'SELECT * FROM blockers WHERE project_id = ? AND deleted_at IS NULL';
+    const params = [projectId];
+    
+    // Apply filters
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+    
+    if (filters.severity) {
+      query += ' AND severity = ?';
+      params.push(filters.severity);
+    }
+    
+    if (filters.blocker_type) {
+      query += ' AND blocker_type = ?';
+      params.push(filters.blocker_type);
+    }
+    
+    if (filters.owner) {
+      query += ' AND owner = ?';
+      params.push(filters.owner);
+    }
+    
+    query += ' ORDER BY severity DESC, created_at DESC';
+    
+    return await db.all(query, params);
+  }
+
+  async getBlockerImpacts(db, blockerId) {
+    return await db.all(`
+      SELECT bi.*, t.title as task_title, t.status as task_status
+      FROM blocker_impacts bi
+      LEFT JOIN tasks t ON t.id = bi.task_id
+      WHERE bi.blocker_id = ? AND (bi.task_id IS NULL OR t.deleted_at IS NULL)
+      ORDER BY bi.created_at
+    `, [blockerId]);
+  }
+
+  async addBlockerImpact(db, blockerId, taskId, impactData = {}, actor = 'agent') {
+    const blocker = await db.get('SELECT project_id FROM blockers WHERE id = ? AND deleted_at IS NULL', [blockerId]);
+    if (!blocker) {
+      throw new Error(`Blocker not found: ${blockerId}`);
+    }
+    // An impact can only point at a task in the blocker's own project
+    if (taskId && !await db.get(
+      'SELECT id FROM tasks WHERE id = ? AND project_id = ? AND deleted_at IS NULL', [taskId, blocker.project_id]
+    )) {
+      throw new Error(`Task not found: ${taskId}`);
+    }
+
+    const impactId = this.generateId();
+    const { 
+      impact_type = 'blocks', 
+      impact_description, 
+      estimated_delay 
+    } = impactData;
+    
+    const now = new Date().toISOString();
+    
+    const result = await this.runCustom(db, `
+      INSERT INTO blocker_impacts 
+      (id, blocker_id, task_id, impact_type, impact_description, estimated_delay, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [impactId, blockerId, taskId, impact_type, impact_description, estimated_delay, now]);
+
+    await this.recordAudit(db, {
+      project_id: blocker.project_id,
+      entity_type: 'blocker_impact',
+      entity_id: impactId,
+      action: 'create',
+      after: await this.getRow(db, 'blocker_impacts', impactId),
+      actor
+    });
+
+    return {
+      impact_id: impactId,
+      blocker_id: blockerId,
+      task_id: taskId,
+      impact_type,
+      changes: result.changes
+    };
+  }
+
+  async removeBlockerImpact(db, blockerId, taskId, impactType = null, actor = 'agent') {
+    let where = 'blocker_id = ? AND task_id = ?';
+    const params = [blockerId, taskId];
+    
+    if (impactType) {
+      where += ' AND impact_type = ?';
+      params.push(impactType);
+    }
+    
+    const removed = await db.all(`SELECT * FROM blocker_impacts WHERE ${where}`, params);
+    const result = await this.runCustom(db, `DELETE FROM blocker_impacts WHERE ${where}`, params);
+
+    const blocker = await this.getRow(db, 'blockers', blockerId);
+    const operationId = this.generateId();
+    for (const impact of removed) {
+      await this.recordAudit(db, {
+        project_id: blocker ? blocker.project_id : null,
+        entity_type: 'blocker_impact',
+        entity_id: impact.id,
+        action: 'delete',
+        before: impact,
+        actor,
+        operation_id: operationId
+      });
+    }
+    
+    return {
+      success: result.changes > 0,
+      message: result.changes > 0 
+        ? `Removed blocker impact: ${blockerId} -> ${taskId}`
+        : `No impact found: ${blockerId} -> ${taskId}`,
+      changes: result.changes
+    };
+  }
+
+  async getTasksBlockedByBlockers(db, projectId) {
+    return await db.all(`
+      SELECT DISTINCT t.*, 
+             GROUP_CONCAT(b.title) as blocking_issues,
+             GROUP_CONCAT(b.severity) as blocker_severities,
+             COUNT(bi.id) as blocker_count
+      FROM tasks t
+      JOIN blocker_impacts bi ON t.id = bi.task_id
+      JOIN blockers b ON b.id = bi.blocker_id
+      WHERE t.project_id = ? AND b.status IN ('open', 'in-progress')
+        AND t.deleted_at IS NULL AND b.deleted_at IS NULL
+      GROUP BY t.id
+      ORDER BY blocker_count DESC, t.priority DESC
+    `, [projectId]);
+  }
+
+  async deleteBlocker(db, blockerId, actor = 'agent') {
+    // Soft delete: impacts stay attached and come back on restore
+    const before = await this.getRow(db, 'blockers', blockerId);
+    const result = await this.runCustom(db, `
+      UPDATE blockers SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL
+    `, [blockerId]);
+    
+    if (result.changes === 0) {
+      throw new Error(`Blocker not found: ${blockerId}`);
+    }
+
+    await this.recordAudit(db, {
+      entity_type: 'blocker',
+      entity_id: blockerId,
+      action: 'delete',
+      before,
+      after: await this.getRow(db, 'blockers', blockerId),
+      actor
+    });
+    
+    return {
+      blocker_id: blockerId,
+      action: 'deleted',
+      changes: result.changes
+    };
+  }
+
+  // Decision Management Methods
+  async claimAdrNumber(db, projectId) {
+    // A per-project sequence, so the number of a purged decision is never handed out again
+    const { next } = await db.get(`
+      SELECT MAX(COALESCE(adr_sequence, 0), COALESCE((SELECT MAX(adr_number) FROM decisions WHERE project_id = ?), 0)) + 1 AS next
+      FROM projects WHERE id = ?
+    `, [projectId, projectId]);
+    await db.run('UPDATE projects SET adr_sequence = ? WHERE id = ?', [next, projectId]);
+    return next;
+  }
+
+  async recordDecision(projectPath, decisionData) {
+    const db = await this.getProjectDatabase(projectPath);
+    const currentProject = await this.getCurrentActiveProject(db, decisionData.branch);
+    
+    if (!currentProject) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    const {
+      decision_type, title, description, rationale, context, alternatives_considered, impacts, made_by = 'agent', supersedes = null
+    } = decisionData;
+    
+    if (!decision_type || !title || !description) {
+      throw new Error('decision_type, title, and description are required');
+    }
+
+    const validTypes = ['architectural', 'user-preference', 'technical-choice', 'approach-rejected', 'implementation-detail'];
+    if (!validTypes.includes(decision_type)) {
+      throw new Error(`Invalid decision_type. Must be one of: ${validTypes.join(', ')}`);
+    }
+
+    if (supersedes) {
+      const previous = await db.get(
+        'SELECT * FROM decisions WHERE id = ? AND project_id = ? AND deleted_at IS NULL',
+        [supersedes, currentProject.id]
+      );
+      if (!previous) {
+        throw new Error(`Decision not found: ${supersedes}`);
+      }
+      if (previous.status === 'superseded') {
+        throw new Error(`Decision ${supersedes} is already superseded by ${previous.superseded_by}; supersede that one instead`);
+      }
+    }
+
+    const decisionId = this.generateId();
+    
+    // The new decision and the supersession undo together as one operation
+    db.operationId = this.generateId();
+    try {
+      await this.runInTransaction(db, async () => {
+        await db.run(`
+          INSERT INTO decisions (
+            id, project_id, decision_type, title, description, rationale, context,
+            alternatives_considered, impacts, made_by, adr_number
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          decisionId, currentProject.id, decision_type, title, description, rationale, context,
+          JSON.stringify(alternatives_considered || []),
+          JSON.stringify(impacts || []),
+          made_by,
+          await this.claimAdrNumber(db, currentProject.id)
+        ]);
+
+        await this.recordAudit(db, {
+          entity_type: 'decision',
+          entity_id: decisionId,
+          action: 'create',
+          after: await this.getRow(db, 'decisions', decisionId),
+          actor: made_by
+        });
+
+        if (!supersedes) return;
+
+        const before = await this.getRow(db, 'decisions', supersedes);
+        await db.run(`
+          UPDATE decisions 
+          SET status = 'superseded', superseded_by = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [decisionId, supersedes]);
+
+        await this.recordAudit(db, {
+          entity_type: 'decision',
+          entity_id: supersedes,
+          action: 'supersede',
+          before,
+          after: await this.getRow(db, 'decisions', supersedes),
+          actor: made_by
+        });
+      });
+    } finally {
+      db.operationId = null;
+    }
+
+    return {
+      decision_id: decisionId,
+      decision_type,
+      title,
+      status: 'recorded',
+      supersedes
+    };
+  }
+
+  async supersededDecision(projectPath, decisionId, newDecisionData) {
+    const newDecision = await this.recordDecision(projectPath, { ...newDecisionData, supersedes: decisionId });
+
+    return {
+      old_decision_id: decisionId,
+      new_decision_id: newDecision.decision_id,
+      action: 'superseded'
+    };
+  }
+
+  async getDecisionLineage(projectPath, decisionId, branch = null) {
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    const getDecision = (id) => db.get(
+      'SELECT * FROM decisions WHERE id = ? AND project_id = ? AND deleted_at IS NULL', [id, project.id]
+    );
+    const decision = await getDecision(decisionId);
+    if (!decision) {
+      throw new Error(`Decision not found: ${decisionId}`);
+    }
+
+    // Forward along superseded_by to the decision in force today
+    const seen = new Set([decision.id]);
+    const newer = [];
+    let current = decision;
+    while (current.superseded_by && !seen.has(current.superseded_by)) {
+      const next = await getDecision(current.superseded_by);
+      if (!next) break;
+      seen.add(next.id);
+      newer.push(next);
+      current = next;
+    }
+
+    // Backward through everything it replaced; one decision may replace several
+    let older = [];
+    let frontier = [decision.id];
+    while (frontier.length > 0) {
+      const replaced = (await db.all(`
+        SELECT * FROM decisions
+        WHERE project_id = ? AND deleted_at IS NULL AND superseded_by IN (${frontier.map(() => '?').join(', ')})
+        ORDER BY decision_date, created_at
+      `, [project.id, ...frontier])).filter(row => !seen.has(row.id));
+      replaced.forEach(row => seen.add(row.id));
+      older = [...replaced, ...older];
+      frontier = replaced.map(row => row.id);
+    }
+
+    const chain = [...older, decision, ...newer];
+    return {
+      project_id: project.id,
+      decision_id: decision.id,
+      current_decision_id: chain[chain.length - 1].id,
+      chain: chain.map(row => this.parseJsonColumns('decisions', row))
+    };
+  }
+
+  // Trash Methods
+  async listTrash(projectPath, branch = null, entityType = null) {
+    const db = await this.getProjectDatabase(projectPath);
+    const currentProject = await this.getCurrentActiveProject(db, branch);
+    if (entityType) {
+      this.resolveTrashTable(entityType);
+    }
+
+    const types = entityType ? [entityType] : Object.keys(TRASHABLE_TABLES);
+    const trash = {};
+
+    for (const type of types) {
+      const table = TRASHABLE_TABLES[type];
+
+      if (type === 'project') {
+        // Trashed projects are no longer "active", so match them by branch name
+        const branchName = branch || (currentProject && currentProject.branch);
+        trash[type] = branchName ? await db.all(`
+          SELECT id, name AS title, branch, deleted_at FROM projects
+          WHERE branch = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC
+        `, [branchName]) : [];
+        continue;
+      }
+
+      if (!currentProject) {
+        trash[type] = [];
+        continue;
+      }
+
+      const label = type === 'file_mapping' ? 'file_path' : 'title';
+      trash[type] = await db.all(`
+        SELECT id, ${label} AS title, deleted_at FROM ${table}
+        WHERE project_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC
+      `, [currentProject.id]);
+    }
+
+    return trash;
+  }
+
+  async restoreFromTrash(projectPath, entityType, entityId, branch = null, actor = 'agent') {
+    const db = await this.getProjectDatabase(projectPath);
+    const table = this.resolveTrashTable(entityType);
+    const scope = await this.resolveTrashScope(db, entityType, branch);
+
+    // Relationships were never removed, so clearing the tombstone brings
+    // a task's dependencies and blocker impacts back with it
+    await this.runInTransaction(db, async () => {
+      const before = await this.getRow(db, table, entityId);
+      const result = await db.run(`
+        UPDATE ${table} SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL AND ${scope.where}
+      `, [entityId, ...scope.params]);
+
+      if ((result.changes || 0) === 0) {
+        throw new Error(`No trashed ${entityType} found: ${entityId}`);
+      }
+
+      await this.recordAudit(db, {
+        entity_type: entityType,
+        entity_id: entityId,
+        action: 'restore',
+        before,
+        after: await this.getRow(db, table, entityId),
+        actor
+      });
+    });
+
+    const restored = { entity_type: entityType, entity_id: entityId, action: 'restored' };
+
+    if (entityType === 'task') {
+      const dependencies = await db.get(`
+        SELECT COUNT(*) AS count FROM task_dependencies WHERE parent_task_id = ? OR child_task_id = ?
+      `, [entityId, entityId]);
+      const impacts = await db.get('SELECT COUNT(*) AS count FROM blocker_impacts WHERE task_id = ?', [entityId]);
+      restored.dependencies = dependencies.count;
+      restored.blocker_impacts = impacts.count;
+    }
+
+    return restored;
+  }
+
+  async purgeFromTrash(projectPath, entityType = null, entityId = null, branch = null, actor = 'agent') {
+    const db = await this.getProjectDatabase(projectPath);
+
+    if (entityId) {
+      const table = this.resolveTrashTable(entityType);
+      const scope = await this.resolveTrashScope(db, entityType, branch);
+      let changes = 0;
+
+      await this.runInTransaction(db, async () => {
+        const before = await this.getRow(db, table, entityId);
+        const result = await db.run(
+          `DELETE FROM ${table} WHERE id = ? AND deleted_at IS NOT NULL AND ${scope.where}`, [entityId, ...scope.params]
+        );
+
+        if ((result.changes || 0) === 0) {
+          throw new Error(`No trashed ${entityType} found: ${entityId}`);
+        }
+
+        await this.recordAudit(db, { entity_type: entityType, entity_id: entityId, action: 'purge', before, actor });
+        changes = result.changes;
+      });
+
+      return { purged: { [entityType]: changes } };
+    }
+
+    // Empty the trash: everything tombstoned in the current project plus this branch's trashed projects
+    const trash = await this.listTrash(projectPath, branch, entityType);
+    const purged = {};
+    const operationId = this.generateId();
+
+    await this.runInTransaction(db, async () => {
+      for (const [type, rows] of Object.entries(trash)) {
+        purged[type] = 0;
+        for (const row of rows) {
+          if (type === 'project') {
+            // task_dependencies has no foreign key to projects, so clear it explicitly
+            await db.run('DELETE FROM task_dependencies WHERE project_id = ?', [row.id]);
+          }
+          const before = await this.getRow(db, TRASHABLE_TABLES[type], row.id);
+          const result = await db.run(`DELETE FROM ${TRASHABLE_TABLES[type]} WHERE id = ?`, [row.id]);
+          purged[type] += result.changes || 0;
+          await this.recordAudit(db, { entity_type: type, entity_id: row.id, action: 'purge', before, actor, operation_id: operationId });
+        }
+      }
+    });
+
+    return { purged };
+  }
+
+  // Trash actions only reach the current branch: its project's rows, or its own trashed projects
+  async resolveTrashScope(db, entityType, branch) {
+    const currentProject = await this.getCurrentActiveProject(db, branch);
+    if (entityType === 'project') {
+      const branchName = branch || (currentProject && currentProject.branch);
+      if (!branchName) {
+        throw new Error('branch is required to restore or purge a trashed project');
+      }
+      return { where: 'branch = ?', params: [branchName] };
+    }
+    if (!currentProject) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+    return { where: 'project_id = ?', params: [currentProject.id] };
+  }
+
+  resolveTrashTable(entityType) {
+    const table = TRASHABLE_TABLES[entityType];
+    if (!table) {
+      throw new Error(`Unknown entity_type: ${entityType}. Supported: ${Object.keys(TRASHABLE_TABLES).join(', ')}`);
+    }
+    return table;
+  }
+
+  // Resource Methods
+  async listProjects(projectPath) {
+    const db = await this.getProjectDatabase(projectPath);
+    return await db.all(
+      'SELECT * FROM projects WHERE deleted_at IS NULL ORDER BY updated_at DESC'
+    );
+  }
+
+  async getProjectResource(projectPath, projectId, collection, entityId = null) {
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await db.get('SELECT * FROM projects WHERE id = ? AND deleted_at IS NULL', [projectId]);
+
+    if (!project) {
+      throw new Error(`Project not found: ${projectId}`);
+    }
+
+    if (collection === 'summary') {
+      const counts = {};
+      for (const [name, table] of Object.entries(RESOURCE_COLLECTIONS)) {
+        const row = await db.get(
+          `SELECT COUNT(*) as count FROM ${table} WHERE project_id = ? AND deleted_at IS NULL`,
+          [projectId]
+        );
+        counts[name] = row.count;
+      }
+      return { project: this.parseJsonColumns('projects', project), counts };
+    }
+
+    const table = RESOURCE_COLLECTIONS[collection];
+    if (!table) {
+      throw new Error(`Unknown resource collection: ${collection}. Must be one of: summary, ${Object.keys(RESOURCE_COLLECTIONS).join(', ')}`);
+    }
+
+    if (entityId) {
+      const row = await db.get(
+        `SELECT * FROM ${table} WHERE id = ? AND project_id = ? AND deleted_at IS NULL`,
+        [entityId, projectId]
+      );
+      if (!row) {
+        throw new Error(`${collection} entry not found: ${entityId}`);
+      }
+      return this.parseJsonColumns(table, row);
+    }
+
+    const rowQueries = {
+      tasks: () => this.getTaskRows(db, projectId, null),
+      decisions: () => this.getDecisionRows(db, projectId, null),
+      blockers: () => this.getBlockerRows(db, projectId, null),
+      files: () => this.getFileRows(db, projectId, null)
+    };
+    const rows = await rowQueries[collection]();
+
+    return {
+      project_id: projectId,
+      total: rows.length,
+      items: rows.map(row => this.parseJsonColumns(table, row))
+    };
+  }
+
+  // Session Methods
+  async startSession(projectPath, { branch = null, actor = 'agent', goal = null } = {}) {
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    // A session that was never ended (crashed or abandoned chat) is closed without a note
+    const stale = await this.getActiveSession(db, project.id);
+    if (stale) {
+      await this.closeSession(db, project.id, stale, { handoff_note: null, next_steps: [], ended_implicitly: true });
+    }
+
+    const digest = await this.getSessionDigestForProject(db, project.id);
+    const sessionId = this.generateId();
+    const session = {
+      status: 'active',
+      actor,
+      goal,
+      started_at: new Date().toISOString()
+    };
+
+    await db.run(`
+      INSERT INTO context_data (id, project_id, data_type, content)
+      VALUES (?, ?, 'session', ?)
+    `, [sessionId, project.id, JSON.stringify(session)]);
+
+    return {
+      session_id: sessionId,
+      project_id: project.id,
+      ...session,
+      closed_stale_session: stale ? stale.id : null,
+      since_last_session: digest
+    };
+  }
+
+  async endSession(projectPath, { branch = null, handoff_note, next_steps = [] } = {}) {
+    if (!handoff_note) {
+      throw new Error('handoff_note is required to end a session');
+    }
+
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    const session = await this.getActiveSession(db, project.id);
+    if (!session) {
+      throw new Error('No active session. Call start_session first.');
+    }
+
+    return await this.closeSession(db, project.id, session, { handoff_note, next_steps, ended_implicitly: false });
+  }
+
+  async getSessionDigest(projectPath, branch = null) {
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+    return project ? await this.getSessionDigestForProject(db, project.id) : null;
+  }
+
+  async getSessionDigestForProject(db, projectId) {
+    // The last handoff note plus everything that changed after it was written
+    const [lastSession] = await this.getSessions(db, projectId, 'ended');
+    if (!lastSession) {
+      return null;
+    }
+
+    return {
+      last_session: { session_id: lastSession.id, ...lastSession.content },
+      changes_since: await this.summarizeActivity(db, projectId, lastSession.content.ended_at)
+    };
+  }
+
+  async getActiveSession(db, projectId) {
+    const [session] = await this.getSessions(db, projectId, 'active');
+    return session || null;
+  }
+
+  async getSessions(db, projectId, status) {
+    const rows = await db.all(`
+      SELECT * FROM context_data
+      WHERE project_id = ? AND data_type = 'session' AND json_extract(content, '$.status') = ?
+      ORDER BY json_extract(content, '$.started_at') DESC
+    `, [projectId, status]);
+
+    return rows.map(row => ({ ...row, content: JSON.parse(row.content) }));
+  }
+
+  async closeSession(db, projectId, session, { handoff_note, next_steps, ended_implicitly }) {
+    const endedAt = new Date().toISOString();
+    const activity = await this.summarizeActivity(db, projectId, session.content.started_at, endedAt);
+    const content = {
+      ...session.content,
+      status: 'ended',
+      ended_at: endedAt,
+      ended_implicitly,
+      handoff_note,
+      next_steps,
+      activity
+    };
+
+    await db.run(
+      'UPDATE context_data SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [JSON.stringify(content), session.id]
+    );
+
+    return { session_id: session.id, project_id: projectId, ...content };
+  }
+
+  async summarizeActivity(db, projectId, since, until = null) {
+    let query = 'SELECT * FROM audit_log WHERE project_id = ? AND created_at >= ?';
+    const params = [projectId, since];
+
+    if (until) {
+      query += ' AND created_at <= ?';
+      params.push(until);
+    }
+
+    const entries = await db.all(query + ' ORDER BY id ASC', params);
+    const tasks = new Map();
+    const files = new Map();
+    const activity = {
+      total_changes: entries.length,
+      tasks_touched: [],
+      decisions_made: [],
+      files_mapped: [],
+      blockers_raised: [],
+      blockers_resolved: []
+    };
+
+    entries.forEach(entry => {
+      const snapshot = JSON.parse(entry.after_data || entry.before_data || '{}');
+
+      if (entry.entity_type === 'task') {
+        // Latest snapshot wins so the digest shows where each task ended up
+        tasks.set(entry.entity_id, { id: entry.entity_id, title: snapshot.title, status: snapshot.status, last_action: entry.action });
+      } else if (entry.entity_type === 'file_mapping' && ['create', 'update'].includes(entry.action)) {
+        files.set(entry.entity_id, { id: entry.entity_id, file_path: snapshot.file_path });
+      } else if (entry.entity_type === 'decision' && entry.action === 'create') {
+        activity.decisions_made.push({ id: entry.entity_id, title: snapshot.title, decision_type: snapshot.decision_type });
+      } else if (entry.entity_type === 'blocker' && entry.action === 'create') {
+        activity.blockers_raised.push({ id: entry.entity_id, title: snapshot.title, severity: snapshot.severity });
+      } else if (entry.entity_type === 'blocker' && entry.action === 'resolve') {
+        activity.blockers_resolved.push({ id: entry.entity_id, title: snapshot.title });
+      }
+    });
+
+    activity.tasks_touched = [...tasks.values()];
+    activity.files_mapped = [...files.values()];
+
+    return activity;
+  }
+
+  // Prompt Methods
+  async getPromptContext(projectPath, branch = null, { topic = null } = {}) {
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    const priorityOrder = `CASE priority WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END`;
+    const severityOrder = `CASE severity WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END`;
+
+    const tasks = await db.all(`
+      SELECT * FROM tasks
+      WHERE project_id = ? AND deleted_at IS NULL AND status != 'completed'
+      ORDER BY ${priorityOrder}, created_at ASC
+    `, [project.id]);
+
+    const openBlockers = await db.all(`
+      SELECT b.*, COUNT(bi.id) as impacted_tasks
+      FROM blockers b
+      LEFT JOIN blocker_impacts bi ON bi.blocker_id = b.id
+      WHERE b.project_id = ? AND b.deleted_at IS NULL AND b.status IN ('open', 'in-progress')
+      GROUP BY b.id
+      ORDER BY ${severityOrder}, b.created_at ASC
+    `, [project.id]);
+
+    const recentDecisions = await db.all(`
+      SELECT * FROM decisions
+      WHERE project_id = ? AND status = 'active' AND deleted_at IS NULL
+      ORDER BY decision_date DESC
+      LIMIT 5
+    `, [project.id]);
+
+    return {
+      project: this.parseJsonColumns('projects', project),
+      in_progress_tasks: tasks.filter(task => task.status === 'in-progress'),
+      open_tasks: tasks,
+      open_blockers: openBlockers,
+      critical_blockers: openBlockers.filter(blocker => blocker.severity === 'critical'),
+      recent_decisions: recentDecisions.map(decision => this.parseJsonColumns('decisions', decision)),
+      related_decisions: topic
+        ? (await this.getDecisionRows(db, project.id, `"${topic.replace(/"/g, '')}"`)).map(decision => this.parseJsonColumns('decisions', decision))
+        : [],
+      since_last_session: await this.getSessionDigestForProject(db, project.id)
+    };
+  }
+
+  // Undo/Redo Methods
+  async undoOperations(projectPath, { steps = 1, branch = null, actor = 'agent' } = {}) {
+    return await this.replayOperations(projectPath, 'undo', { steps, branch, actor });
+  }
+
+  async redoOperations(projectPath, { steps = 1, branch = null, actor = 'agent' } = {}) {
+    return await this.replayOperations(projectPath, 'redo', { steps, branch, actor });
+  }
+
+  async replayOperations(projectPath, direction, { steps, branch, actor }) {
+    const db = await this.getProjectDatabase(projectPath);
+    const currentProject = await this.getCurrentActiveProject(db, branch);
+
+    if (!currentProject) {
+      throw new Error('No active project found. Initialize a project context first.');
+    }
+
+    const count = parseInt(steps, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('steps must be a positive integer');
+    }
+
+    const stacks = await this.getOperationStacks(db, currentProject.id);
+    const stack = direction === 'undo' ? stacks.done : stacks.undone;
+    const replayed = [];
+
+    while (replayed.length < count && stack.length > 0) {
+      const operation = stack[stack.length - 1];
+
+      if (!this.isUndoableOperation(operation)) {
+        // Project-level changes (initialize, clear, purge) are a hard stop
+        break;
+      }
+
+      await this.runInTransaction(db, async () => {
+        await this.applyOperation(db, operation, direction, actor);
+      });
+
+      stack.pop();
+      replayed.push(this.describeOperation(operation));
+    }
+
+    if (replayed.length === 0) {
+      throw new Error(`Nothing to ${direction} in the current project`);
+    }
+
+    return { action: direction, operations: replayed, remaining: stack.length };
+  }
+
+  async getOperationStacks(db, projectId) {
+    // The log is append-only, so undo state is derived by replaying it:
+    // undo moves an operation to the redo stack, redo moves it back, and any
+    // new operation clears the redo stack
+    const entries = await db.all('SELECT * FROM audit_log WHERE project_id = ? ORDER BY id', [projectId]);
+    const operations = new Map();
+
+    entries.forEach(entry => {
+      const operationId = entry.operation_id || `entry-${entry.id}`;
+      if (!operations.has(operationId)) {
+        operations.set(operationId, { operation_id: operationId, entries: [] });
+      }
+      operations.get(operationId).entries.push(entry);
+    });
+
+    const done = [];
+    let undone = [];
+    const removeFrom = (stack, operationId) => {
+      const index = stack.map(op => op.operation_id).lastIndexOf(operationId);
+      return index === -1 ? null : stack.splice(index, 1)[0];
+    };
+
+    for (const operation of operations.values()) {
+      const { action, undo_of } = operation.entries[0];
+
+      if (action === 'undo') {
+        const reverted = removeFrom(done, undo_of);
+        if (reverted) undone.push(reverted);
+      } else if (action === 'redo') {
+        const reapplied = removeFrom(undone, undo_of);
+        if (reapplied) done.push(reapplied);
+      } else {
+        done.push(operation);
+        undone = [];
+      }
+    }
+
+    return { done, undone };
+  }
+
+  isUndoableOperation(operation) {
+    return operation.entries.every(entry => entry.entity_type === 'project'
+      ? UNDOABLE_PROJECT_ACTIONS.includes(entry.action)
+      : UNDOABLE_TABLES[entry.entity_type] && UNDOABLE_ACTIONS.includes(entry.action)
+    );
+  }
+
+  async applyOperation(db, operation, direction, actor) {
+    const undoing = direction === 'undo';
+    const operationId = this.generateId();
+    const entries = undoing ? [...operation.entries].reverse() : operation.entries;
+
+    for (const entry of entries) {
+      const table = entry.entity_type === 'project' ? 'projects' : UNDOABLE_TABLES[entry.entity_type];
+      const expected = JSON.parse((undoing ? entry.after_data : entry.before_data) || 'null');
+      const target = JSON.parse((undoing ? entry.before_data : entry.after_data) || 'null');
+      const current = await this.getRow(db, table, entry.entity_id);
+
+      // Refuse to clobber changes made outside the undo history
+      if (!this.snapshotMatches(current, expected)) {
+        throw new Error(`Cannot ${direction}: ${entry.entity_type.replace(/_/g, ' ')} ${entry.entity_id} has changed since`);
+      }
+
+      await this.applySnapshot(db, table, entry.entity_id, target);
+      await this.recordAudit(db, {
+        project_id: entry.project_id,
+        entity_type: entry.entity_type,
+        entity_id: entry.entity_id,
+        action: direction,
+        before: current || null,
+        after: (await this.getRow(db, table, entry.entity_id)) || null,
+        actor,
+        operation_id: operationId,
+        undo_of: operation.operation_id
+      });
+    }
+  }
+
+  snapshotMatches(current, expected) {
+    if (!current || !expected) {
+      return !current && !expected;
+    }
+
+    return Object.keys(expected).every(field =>
+      field === 'updated_at' || String(current[field]) === String(expected[field])
+    );
+  }
+
+  async applySnapshot(db, table, id, snapshot) {
+    if (!snapshot) {
+      await db.run(`DELETE FROM ${table} WHERE id = ?`, [id]);
+      return;
+    }
+
+    const existing = await this.getRow(db, table, id);
+    if (!existing) {
+      await this.insertRow(db, table, snapshot);
+      return;
+    }
+
+    const columns = Object.keys(snapshot).filter(column => column !== 'id');
+    await db.run(
+      `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => snapshot[column]), id]
+    );
+  }
+
+  describeOperation(operation) {
+    const entry = operation.entries[0];
+    const snapshot = JSON.parse(entry.after_data || entry.before_data || '{}');
+    const label = snapshot.title || snapshot.file_path || entry.entity_id;
+
+    return {
+      operation_id: operation.operation_id,
+      action: entry.action,
+      entity_type: entry.entity_type,
+      entity_id: entry.entity_id,
+      label,
+      entries: operation.entries.length,
+      created_at: entry.created_at
+    };
+  }
+
+  // Helper methods
+  async getCurrentActiveProject(db, branch = null) {
+    // Scope to the branch when one is known so each branch keeps its own plan
+    if (branch) {
+      return await db.get(`
+        SELECT * FROM projects 
+        WHERE branch = ? AND status = 'active' AND deleted_at IS NULL
+        ORDER BY updated_at DESC 
+        LIMIT 1
+      `, [branch]);
+    }
+
+    return await db.get(`
+      SELECT * FROM projects 
+      WHERE status = 'active' AND deleted_at IS NULL
+      ORDER BY updated_at DESC 
+      LIMIT 1
+    `);
+  }
+
+  async runInTransaction(db, work) {
+    // Nested calls join the outer transaction so its rollback covers them too
+    if (db.inTransaction) {
+      return await work();
+    }
+
+    await db.run('BEGIN IMMEDIATE');
+    db.inTransaction = true;
+    try {
+      const result = await work();
+      await db.run('COMMIT');
+      return result;
+    } catch (error) {
+      await db.run('ROLLBACK');
+      throw error;
+    } finally {
+      db.inTransaction = false;
+    }
+  }
+
+  async insertRow(db, table, row) {
+    const columns = Object.keys(row);
+    const placeholders = columns.map(() => '?').join(', ');
+    return await db.run(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`,
+      columns.map(column => row[column])
+    );
+  }
+
+  async getRow(db, table, id) {
+    return await db.get(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  }
+
+  async getRecord(projectPath, table, id) {
+    const db = await this.getProjectDatabase(projectPath);
+    return this.parseJsonColumns(table, await this.getRow(db, table, id));
+  }
+
+  parseJsonColumns(table, row) {
+    if (!row) return null;
+
+    const parsed = { ...row };
+    (JSON_COLUMNS[table] || []).forEach(column => {
+      if (typeof parsed[column] !== 'string') return;
+      try {
+        parsed[column] = JSON.parse(parsed[column]);
+      } catch (e) {
+        // Leave malformed JSON as the raw string
+      }
+    });
+
+    return parsed;
+  }
+
+  async recordAudit(db, {
+    project_id, entity_type, entity_id, action, before = null, after = null, actor = 'agent',
+    operation_id = this.generateId(), undo_of = null
+  }) {
+    const projectId = project_id !== undefined
+      ? project_id
+      : entity_type === 'project' ? entity_id : (after || before || {}).project_id || null;
+
+    await db.run(`
+      INSERT INTO audit_log (
+        project_id, entity_type, entity_id, action, before_data, after_data, changes, actor, created_at,
+        operation_id, undo_of
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      projectId, entity_type, entity_id, action,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      JSON.stringify(this.diffRows(before, after)),
+      actor || 'agent',
+      new Date().toISOString(),
+      // A batch groups everything it writes under its own operation
+      db.operationId || operation_id,
+      undo_of
+    ]);
+
+    this.notifyChange({ project_id: projectId, entity_type, entity_id, action });
+  }
+
+  notifyChange(change) {
+    // Listener errors must never fail the write that triggered them
+    try {
+      this.emit('change', change);
+    } catch (error) {
+      console.error('Change listener failed:', error.message);
+    }
+  }
+
+  diffRows(before, after) {
+    // Field-level changes between two row snapshots; timestamps bumped by every write are noise
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    fields.forEach(field => {
+      if (field === 'updated_at') return;
+      const from = before ? before[field] : undefined;
+      const to = after ? after[field] : undefined;
+      if (from !== to) {
+        changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+      }
+    });
+
+    return changes;
+  }
+
+  async runCustom(db, sql, params = []) {
+    // db.run is promisified in getProjectDatabase and resolves to { changes, lastID }
+    return await db.run(sql, params);
+  }
+
+  async addContextData(db, projectId, dataType, content) {
+    const id = this.generateId();
+    await db.run(`
+      INSERT INTO context_data (id, project_id, data_type, content)
+      VALUES (?, ?, ?, ?)
+    `, [id, projectId, dataType, JSON.stringify(content)]);
+    return id;
+  }
+
+  async getContextSummary(projectPath, branch = null, options = {}) {
+    const db = await this.getProjectDatabase(projectPath);
+    const project = await this.getCurrentActiveProject(db, branch);
+
+    if (!project) {
+      return 'No active project found. Initialize a project context first.';
+    }
+
+    return this.getProjectSummary(db, project, options);
+  }
+
+  async getProjectDashboard(db, project, { stale_days: staleDays = 7 } = {}) {
+    if (!Number.isFinite(staleDays) || staleDays < 0) {
+      throw new Error('stale_days must be a non-negative number');
+    }
+    const projectId = project.id;
+    const tasks = await db.all('SELECT * FROM tasks WHERE project_id = ? AND deleted_at IS NULL', [projectId]);
+
+    const byStatus = { 'todo': 0, 'in-progress': 0, 'blocked': 0, 'completed': 0 };
+    const byPriority = { high: 0, medium: 0, low: 0 };
+    tasks.forEach(task => {
+      byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+      byPriority[task.priority] = (byPriority[task.priority] || 0) + 1;
+    });
+
+    const openBlockers = await db.all(`
+      SELECT b.*, COUNT(bi.task_id) as affected_tasks, COALESCE(SUM(bi.estimated_delay), 0) as estimated_delay
+      FROM blockers b
+      LEFT JOIN blocker_impacts bi ON bi.blocker_id = b.id
+      WHERE b.project_id = ? AND b.status IN ('open', 'in-progress') AND b.deleted_at IS NULL
+      GROUP BY b.id
+    `, [projectId]);
+    const severityOrder = ['critical', 'high', 'medium', 'low'];
+    openBlockers.sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity) ||
+      a.created_at.localeCompare(b.created_at));
+    const bySeverity = Object.fromEntries(severityOrder.map(severity => [
+      severity, openBlockers.filter(blocker => blocker.severity === severity).length
+    ]));
+
+    const staleTasks = await db.all(`
+      SELECT * FROM tasks
+      WHERE project_id = ? AND deleted_at IS NULL AND status != 'completed'
+        AND julianday(updated_at) < julianday('now', ?)
+      ORDER BY updated_at ASC
+    `, [projectId, `-${staleDays} days`]);
+
+    const readyIds = await this.getReadyTaskIds(db, projectId);
+    const ready = tasks.filter(task => readyIds.has(task.id));
+    const priorityRank = { high: 0, medium: 1, low: 2 };
+    ready.sort((a, b) => (priorityRank[a.priority] ?? 1) - (priorityRank[b.priority] ?? 1) ||
+      a.created_at.localeCompare(b.created_at));
+
+    const recentDecisions = await db.all(`
+      SELECT * FROM decisions WHERE project_id = ? AND status = 'active' AND deleted_at IS NULL
+      ORDER BY decision_date DESC LIMIT 5
+    `, [projectId]);
+    const topFiles = await db.all(`
+      SELECT * FROM file_mappings WHERE project_id = ? AND deleted_at IS NULL
+      ORDER BY importance_score DESC, last_analyzed DESC LIMIT 5
+    `, [projectId]);
+    const contextCount = await db.get('SELECT COUNT(*) as count FROM context_data WHERE project_id = ?', [projectId]);
+
+    const pick = (task) => ({
+      id: task.id, title: task.title, status: task.status, priority: task.priority,
+      assignee: task.assignee, updated_at: task.updated_at
+    });
+
     return {
-      blocker_id: blockerId,
-      action: 'deleted',
-      changes: result.changes
+      project: this.parseJsonColumns('projects', project),
+      context_records: contextCount.count,
+      counts: await this.getEntityCounts(db, projectId),
+      tasks: {
+        total: tasks.length,
+        by_status: byStatus,
+        by_priority: byPriority,
+        completion_percent: tasks.length > 0 ? Math.round(byStatus.completed / tasks.length * 100) : 0
+      },
+      in_progress: tasks.filter(task => task.status === 'in-progress').map(pick),
+      blockers: {
+        open: openBlockers.length,
+        by_severity: bySeverity,
+        total_estimated_delay: openBlockers.reduce((sum, blocker) => sum + blocker.estimated_delay, 0),
+        items: openBlockers.map(blocker => ({
+          id: blocker.id, title: blocker.title, severity: blocker.severity, blocker_type: blocker.blocker_type,
+          owner: blocker.owner, affected_tasks: blocker.affected_tasks, estimated_delay: blocker.estimated_delay
+        }))
+      },
+      recent_decisions: recentDecisions.map(decision => this.parseJsonColumns('decisions', decision)),
+      top_files: topFiles.map(file => ({
+        id: file.id, file_path: file.file_path, importance_score: file.importance_score, purpose: file.purpose
+      })),
+      stale_days: staleDays,
+      stale_tasks: staleTasks.map(pick),
+      ready_tasks: ready.map(pick)
     };
   }
 
-  // Decision Management Methods
-  async recordDecision(projectPath, decisionData) {
-    const db = await this.getProjectDatabase(projectPath);
-    const currentProject = await this.getCurrentActiveProject(db);
-    
-    if (!currentProject) {
-      throw new Error('No active project found. Initialize a project context first.');
+  async getProjectSummary(db, project, options = {}) {
+    const dashboard = await this.getProjectDashboard(db, project, options);
+    const { tasks, blockers, counts } = dashboard;
+    const severityIcon = { 'critical': '🔴', 'high': '🟠', 'medium': '🟡', 'low': '🟢' };
+    const taskLine = (task) => `- ${task.title}${task.priority && task.priority !== 'medium' ? ` [${task.priority}]` : ''}` +
+      `${task.assignee ? ` @${task.assignee}` : ''} *(${task.id})*\n`;
+
+    let result = `**Project Summary**\n\n` +
+                 `**Goal:** ${project.goal}\n` +
+                 `**Scope:** ${project.scope}\n` +
+                 `**Status:** ${project.status}\n` +
+                 `**Branch:** ${project.branch}\n` +
+                 `**Created:** ${project.created_at}\n` +
+                 `**Context Records:** ${dashboard.context_records}\n\n`;
+
+    result += `**Progress:** ${tasks.by_status.completed}/${tasks.total} tasks completed (${tasks.completion_percent}%)\n` +
+              `- By status: ${Object.entries(tasks.by_status).map(([status, n]) => `${n} ${status}`).join(', ')}\n` +
+              `- By priority: ${Object.entries(tasks.by_priority).map(([priority, n]) => `${n} ${priority}`).join(', ')}\n\n`;
+
+    if (dashboard.in_progress.length > 0) {
+      result += `**In Progress (${dashboard.in_progress.length})**\n`;
+      dashboard.in_progress.forEach(task => { result += taskLine(task); });
+      result += `\n`;
     }
 
-    const { decision_type, title, description, rationale, context, alternatives_considered, impacts, made_by = 'agent' } = decisionData;
-    
-    if (!decision_type || !title || !description) {
-      throw new Error('decision_type, title, and description are required');
+    if (blockers.open > 0) {
+      result += `**Open Blockers (${blockers.open}, ${blockers.total_estimated_delay}h estimated delay)**\n` +
+                `${Object.entries(blockers.by_severity).filter(([, n]) => n > 0).map(([severity, n]) => `${severityIcon[severity]} ${n} ${severity}`).join(', ')}\n`;
+      blockers.items.forEach(blocker => {
+        result += `- ${severityIcon[blocker.severity] || '⚪'} ${blocker.title} [${blocker.blocker_type}]` +
+                  `${blocker.affected_tasks > 0 ? ` - affects ${blocker.affected_tasks} task(s)` : ''}` +
+                  `${blocker.estimated_delay > 0 ? `, ${blocker.estimated_delay}h delay` : ''} *(${blocker.id})*\n`;
+      });
+      result += `\n`;
     }
 
-    const validTypes = ['architectural', 'user-preference', 'technical-choice', 'approach-rejected', 'implementation-detail'];
-    if (!validTypes.includes(decision_type)) {
-      throw new Error(`Invalid decision_type. Must be one of: ${validTypes.join(', ')}`);
+    if (dashboard.recent_decisions.length > 0) {
+      result += `**Recent Decisions**\n`;
+      dashboard.recent_decisions.forEach(decision => {
+        result += `- ${decision.title} [${decision.decision_type}] *${decision.decision_date}*\n`;
+      });
+      result += `\n`;
     }
 
-    const decisionId = this.generateId();
-    
-    await db.run(`
-      INSERT INTO decisions (
-        id, project_id, decision_type, title, description, rationale, context,
-        alternatives_considered, impacts, made_by
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      decisionId, currentProject.id, decision_type, title, description, rationale, context,
-      JSON.stringify(alternatives_considered || []),
-      JSON.stringify(impacts || []),
-      made_by
-    ]);
+    if (dashboard.top_files.length > 0) {
+      result += `**Key Files**\n`;
+      dashboard.top_files.forEach(file => {
+        result += `- ${file.file_path} [importance: ${file.importance_score}]${file.purpose ? ` - ${file.purpose}` : ''}\n`;
+      });
+      result += `\n`;
+    }
 
-    return {
-      decision_id: decisionId,
-      decision_type,
-      title,
-      status: 'recorded'
-    };
-  }
+    if (dashboard.stale_tasks.length > 0) {
+      result += `**Stale Tasks (no update in ${dashboard.stale_days} days)**\n`;
+      dashboard.stale_tasks.forEach(task => {
+        result += `- ${task.title} [${task.status}] last updated ${task.updated_at} *(${task.id})*\n`;
+      });
+      result += `\n`;
+    }
 
-  async supersededDecision(projectPath, decisionId, newDecisionData) {
-    const db = await this.getProjectDatabase(projectPath);
-    
-    // Create new decision
-    const newDecision = await this.recordDecision(projectPath, newDecisionData);
-    
-    // Mark old decision as superseded
-    const result = await db.run(`
-      UPDATE decisions 
-      SET status = 'superseded', superseded_by = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `, [newDecision.decision_id, decisionId]);
-    
-    if ((result.changes || 0) === 0) {
-      throw new Error(`Decision not found: ${decisionId}`);
+    if (dashboard.ready_tasks.length > 0) {
+      result += `**Ready to Start (${dashboard.ready_tasks.length})**\n`;
+      dashboard.ready_tasks.forEach(task => { result += taskLine(task); });
+      result += `\n`;
     }
 
+    result += `**Contents:**\n` +
+              `- Tasks: ${counts.tasks.total} (${counts.tasks.open} open)\n` +
+              `- Decisions: ${counts.decisions.total} (${counts.decisions.active} active)\n` +
+              `- Mapped files: ${counts.files.total}\n` +
+              `- Blockers: ${counts.blockers.total} (${counts.blockers.open} open)\n` +
+              `- History entries: ${counts.history.total}\n\n` +
+              `Use query_context() with specific types for detailed information; pass limit, cursor or max_chars to page through long lists.`;
+
+    return result;
+  }
+
+  async getEntityCounts(db, projectId) {
+    const count = async (sql) => (await db.get(sql, [projectId])).count;
+
     return {
-      old_decision_id: decisionId,
-      new_decision_id: newDecision.decision_id,
-      action: 'superseded'
+      tasks: {
+        total: await count('SELECT COUNT(*) as count FROM tasks WHERE project_id = ? AND deleted_at IS NULL'),
+        open: await count("SELECT COUNT(*) as count FROM tasks WHERE project_id = ? AND deleted_at IS NULL AND status != 'completed'")
+      },
+      decisions: {
+        total: await count('SELECT COUNT(*) as count FROM decisions WHERE project_id = ? AND deleted_at IS NULL'),
+        active: await count("SELECT COUNT(*) as count FROM decisions WHERE project_id = ? AND deleted_at IS NULL AND status = 'active'")
+      },
+      files: {
+        total: await count('SELECT COUNT(*) as count FROM file_mappings WHERE project_id = ? AND deleted_at IS NULL')
+      },
+      blockers: {
+        total: await count('SELECT COUNT(*) as count FROM blockers WHERE project_id = ? AND deleted_at IS NULL'),
+        open: await count("SELECT COUNT(*) as count FROM blockers WHERE project_id = ? AND deleted_at IS NULL AND status IN ('open', 'in-progress')")
+      },
+      history: {
+        total: await count('SELECT COUNT(*) as count FROM audit_log WHERE project_id = ?')
+      }
     };
   }
 
-  // File Mapping Methods
-  async mapRelevantCode(projectPath, mappingData) {
-    const db = await this.getProjectDatabase(projectPath);
-    const currentProject = await this.getCurrentActiveProject(db);
-    
-    if (!currentProject) {
-      throw new Error('No active project found. Initialize a project context first.');
-    }
+  parseQueryFilter(queryType, filter, { defaults = true } = {}) {
+    const spec = QUERY_FILTERS[queryType];
+    const where = [];
+    const params = [];
+    const used = new Set();
+    let orderBy = spec.defaultSort;
+    let limit = null;
+    let offset = 0;
 
-    const { file_path, file_type, purpose, key_functions, dependencies, dependents, analysis_summary, complexity_score = 0, importance_score = 0, notes } = mappingData;
-    
-    if (!file_path) {
-      throw new Error('file_path is required');
-    }
+    const fail = (message) => {
+      throw new Error(`${message}. Fields for ${queryType}: ${Object.keys(spec.fields).join(', ')}, sort, limit, cursor`);
+    };
 
-    // Check if file mapping already exists
-    const existing = await db.get(`
-      SELECT id FROM file_mappings 
-      WHERE project_id = ? AND file_path = ?
-    `, [currentProject.id, file_path]);
+    // field:value, field:"quoted value", field>=value, "a phrase" or a bare word
+    const tokens = String(filter || '').match(/[^\s"]+"[^"]*"|"[^"]*"|[^\s"]+/g) || [];
 
-    if (existing) {
-      // Update existing mapping
-      const result = await db.run(`
-        UPDATE file_mappings 
-        SET file_type = ?, purpose = ?, key_functions = ?, dependencies = ?, 
-            dependents = ?, analysis_summary = ?, complexity_score = ?, 
-            importance_score = ?, notes = ?, last_analyzed = CURRENT_TIMESTAMP,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `, [
-        file_type, purpose, 
-        JSON.stringify(key_functions || []),
-        JSON.stringify(dependencies || []),
-        JSON.stringify(dependents || []),
-        analysis_summary, complexity_score, importance_score, notes,
-        existing.id
-      ]);
+    tokens.forEach(token => {
+      const match = token.match(/^([a-z_]+)(>=|<=|>|<|:)(.*)$/i);
+      if (!match) {
+        const text = token.replace(/^"|"$/g, '');
+        if (!text) return;
+        // An unquoted enum value is shorthand for its field, so "todo" still means status:todo
+        const shorthand = text === token &&
+          Object.entries(spec.fields).find(([, definition]) => definition.values?.includes(text.toLowerCase()));
+        if (shorthand) {
+          used.add(shorthand[0]);
+          where.push(`${shorthand[1].column} = ?`);
+          params.push(text.toLowerCase());
+        } else if (spec.text) {
+          // % and _ in the search text are literal characters, not wildcards
+          const pattern = `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+          where.push(`(${spec.text.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+          params.push(...spec.text.map(() => pattern));
+        } else {
+          where.push('entity_id = ?');
+          params.push(text);
+        }
+        return;
+      }
 
-      return {
-        mapping_id: existing.id,
-        file_path,
-        action: 'updated'
-      };
-    } else {
-      // Create new mapping
-      const mappingId = this.generateId();
-      
-      await db.run(`
-        INSERT INTO file_mappings (
-          id, project_id, file_path, file_type, purpose, key_functions,
-          dependencies, dependents, analysis_summary, complexity_score,
-          importance_score, notes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        mappingId, currentProject.id, file_path, file_type, purpose,
-        JSON.stringify(key_functions || []),
-        JSON.stringify(dependencies || []),
-        JSON.stringify(dependents || []),
-        analysis_summary, complexity_score, importance_score, notes
-      ]);
+      const [, name, operator, rawValue] = match;
+      const field = name.toLowerCase();
+      const value = rawValue.replace(/^"|"$/g, '');
+      if (value === '') fail(`Missing value for "${field}"`);
 
-      return {
-        mapping_id: mappingId,
-        file_path,
-        action: 'created'
-      };
-    }
+      if (field === 'sort') {
+        const descending = value.startsWith('-');
+        const key = value.replace(/^-/, '');
+        const column = spec.fields[key] ? spec.fields[key].column : key;
+        if (!spec.sort.includes(column)) {
+          throw new Error(`Cannot sort ${queryType} by "${key}". Sortable: ${spec.sort.join(', ')}`);
+        }
+        orderBy = `${spec.ranks?.[column] || column} ${descending ? 'DESC' : 'ASC'}`;
+        return;
+      }
+      if (field === 'limit') {
+        limit = parseInt(value, 10);
+        if (!Number.isInteger(limit) || limit < 1) fail('limit must be a positive integer');
+        return;
+      }
+      if (field === 'cursor') {
+        offset = this.decodeCursor(value);
+        return;
+      }
+
+      const definition = spec.fields[field];
+      if (!definition) fail(`Unknown filter field "${field}"`);
+      used.add(field);
+
+      const { column, kind } = definition;
+      if (operator !== ':' && !['date', 'number'].includes(kind)) {
+        fail(`"${field}" only supports ${field}:value`);
+      }
+
+      if (kind === 'date') {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) fail(`${field} expects a YYYY-MM-DD date, got "${value}"`);
+        where.push(`date(${column}) ${operator === ':' ? '=' : operator} ?`);
+        params.push(value);
+      } else if (kind === 'number') {
+        const number = Number(value);
+        if (Number.isNaN(number)) fail(`${field} expects a number, got "${value}"`);
+        where.push(`CAST(${column} AS REAL) ${operator === ':' ? '=' : operator} ?`);
+        params.push(number);
+      } else if (kind === 'tag') {
+        where.push(`EXISTS (SELECT 1 FROM json_each(${column}) WHERE json_each.value = ?)`);
+        params.push(value);
+      } else {
+        const values = value.split(',').filter(Boolean);
+        if (kind === 'enum') {
+          const invalid = values.filter(item => !definition.values.includes(item.toLowerCase()));
+          if (invalid.length > 0) {
+            throw new Error(`Invalid ${field} "${invalid.join(', ')}". Must be one of: ${definition.values.join(', ')}`);
+          }
+        }
+        // "none" matches an unset value, e.g. assignee:none
+        const conditions = values.map(item => item.toLowerCase() === 'none' && kind === 'text'
+          ? `${column} IS NULL`
+          : `${column} = ? COLLATE NOCASE`);
+        where.push(`(${conditions.join(' OR ')})`);
+        params.push(...values.filter(item => !(item.toLowerCase() === 'none' && kind === 'text')));
+      }
+    });
+
+    Object.entries(spec.fields).forEach(([field, definition]) => {
+      if (defaults && definition.default && !used.has(field)) {
+        where.push(`${definition.column} = ?`);
+        params.push(definition.default);
+      }
+    });
+
+    return { where, params, orderBy, limit, offset };
   }
 
-  async removeFileMapping(projectPath, filePath) {
-    const db = await this.getProjectDatabase(projectPath);
-    const currentProject = await this.getCurrentActiveProject(db);
-    
-    if (!currentProject) {
-      throw new Error('No active project found. Initialize a project context first.');
+  encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    let offset;
+    try {
+      offset = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8')).offset;
+    } catch (error) {
+      offset = NaN;
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Invalid cursor "${cursor}". Pass the next_cursor value returned by the previous page`);
     }
+    return offset;
+  }
 
-    const result = await db.run(`
-      DELETE FROM file_mappings 
-      WHERE project_id = ? AND file_path = ?
-    `, [currentProject.id, filePath]);
+  // limit/cursor options override the filter's terms; all skips the default page size
+  async queryRows(db, queryType, projectId, filter, { limit: pageSize, cursor, all = false, include_superseded = false } = {}) {
+    const spec = QUERY_FILTERS[queryType];
+    const parsed = this.parseQueryFilter(queryType, filter, { defaults: !include_superseded });
+    const { where, params, orderBy } = parsed;
 
-    if ((result.changes || 0) === 0) {
-      throw new Error(`File mapping not found: ${filePath}`);
+    if (pageSize !== undefined && pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1)) {
+      throw new Error('limit must be a positive integer');
     }
+    const limit = pageSize || parsed.limit || (all ? null : spec.defaultLimit || null);
+    const offset = cursor ? this.decodeCursor(cursor) : parsed.offset;
+    const conditions = ['project_id = ?', ...(spec.softDelete === false ? [] : ['deleted_at IS NULL']), ...where];
+    const whereSql = conditions.join(' AND ');
+    // Ties are broken by id so pages never overlap
+    const orderSql = /\bid\b/.test(orderBy) ? orderBy : `${orderBy}, id ASC`;
+
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM ${spec.table} WHERE ${whereSql}`, [projectId, ...params]);
+    const rows = await db.all(
+      `SELECT * FROM ${spec.table} WHERE ${whereSql} ORDER BY ${orderSql}${limit ? ' LIMIT ? OFFSET ?' : ''}`,
+      [projectId, ...params, ...(limit ? [limit, offset] : [])]
+    );
 
+    const nextOffset = offset + rows.length;
     return {
-      file_path: filePath,
-      action: 'removed'
+      rows,
+      total,
+      offset,
+      next_cursor: limit && nextOffset < total ? this.encodeCursor(nextOffset) : null
     };
   }
 
-  // Helper methods
-  async getCurrentActiveProject(db) {
-    return await db.get(`
-      SELECT * FROM projects 
-      WHERE status = 'active' 
-      ORDER BY updated_at DESC 
-      LIMIT 1
-    `);
+  // Fits a page into max_chars: previews first, then one-line summaries, then fewer rows
+  fitQueryPage(page, { max_chars: maxChars, detail } = {}, render) {
+    let rows = page.rows;
+    let mode = detail;
+    const pageOf = (shown) => ({
+      ...page,
+      rows: shown,
+      next_cursor: shown.length < page.rows.length ? this.encodeCursor(page.offset + shown.length) : page.next_cursor
+    });
+
+    let text = render(pageOf(rows), mode);
+    if (maxChars && text.length > maxChars) {
+      if (!detail) {
+        mode = 'summary';
+        text = render(pageOf(rows), mode);
+      }
+      while (text.length > maxChars && rows.length > 1) {
+        const estimate = Math.floor(rows.length * maxChars / text.length);
+        rows = rows.slice(0, Math.max(1, Math.min(rows.length - 1, estimate)));
+        text = render(pageOf(rows), mode);
+      }
+    }
+
+    return { ...pageOf(rows), text, detail: mode || 'preview', budgeted: mode !== detail || rows.length < page.rows.length };
   }
 
-  async addContextData(db, projectId, dataType, content) {
-    const id = this.generateId();
-    await db.run(`
-      INSERT INTO context_data (id, project_id, data_type, content)
-      VALUES (?, ?, ?, ?)
-    `, [id, projectId, dataType, JSON.stringify(content)]);
+  previewText(text, detail, length = 100) {
+    if (!text || detail === 'full' || text.length <= length) return text;
+    return `${text.substring(0, length)}...`;
   }
 
-  async getProjectSummary(db, project) {
-    const contextCount = await db.get(`
-      SELECT COUNT(*) as count FROM context_data WHERE project_id = ?
-    `, [project.id]);
+  formatQueryTotal(page, noun, mode) {
+    let result = page.rows.length === page.total
+      ? `Total: ${page.total} ${noun}`
+      : `Total: ${page.total} ${noun} (showing ${page.offset + 1}-${page.offset + page.rows.length}` +
+        `${page.next_cursor ? `; next page: cursor:${page.next_cursor}` : ''})`;
+    if (mode === 'summary') {
+      result += `\n*Summaries only; query with \`id:<id>\` and detail "full" for complete text.*`;
+    }
+    return result;
+  }
 
-    return `**Project Summary**\\n\\n` +
-           `**Goal:** ${project.goal}\\n` +
-           `**Scope:** ${project.scope}\\n` +
-           `**Status:** ${project.status}\\n` +
-           `**Branch:** ${project.branch}\\n` +
-           `**Created:** ${project.created_at}\\n` +
-           `**Context Records:** ${contextCount.count}\\n\\n` +
-           `Use query_context() with specific types for detailed information.`;
+  async getTaskRows(db, projectId, filter) {
+    return (await this.queryRows(db, 'tasks', projectId, filter, { all: true })).rows;
   }
 
-  async getTaskData(db, projectId, filter) {
-    let query = `
-      SELECT * FROM tasks 
-      WHERE project_id = ?
-    `;
-    const params = [projectId];
+  async getTaskData(db, projectId, filter, options = {}) {
+    const page = await this.queryRows(db, 'tasks', projectId, filter, options);
+    const rollup = this.getSubtaskRollup(await this.getTaskRows(db, projectId, null));
     
-    // Apply filters
-    if (filter) {
-      const filterLower = filter.toLowerCase();
-      if (['todo', 'in-progress', 'blocked', 'completed'].includes(filterLower)) {
-        query += ' AND status = ?';
-        params.push(filterLower);
-      } else if (['high', 'medium', 'low'].includes(filterLower)) {
-        query += ' AND priority = ?';
-        params.push(filterLower);
-      } else {
-        // Text search in title or description
-        query += ' AND (title LIKE ? OR description LIKE ?)';
-        params.push(`%${filter}%`, `%${filter}%`);
-      }
+    if (page.rows.length === 0) {
+      return `**No Tasks Found**\n\nProject ID: ${projectId}\n${filter ? `Filter: ${filter}\n` : ''}\nUse update_task_status() to create and manage tasks.`;
     }
     
-    query += ' ORDER BY priority DESC, created_at ASC';
-    
-    const tasks = await db.all(query, params);
+    return this.fitQueryPage(page, options, (shown, detail) => this.renderTaskPage(shown, detail, rollup)).text;
+  }
+
+  renderTaskPage(page, detail, rollup) {
+    const tasks = page.rows;
+    let result = `**Tasks Summary**\n\n`;
     
-    if (tasks.length === 0) {
-      return `**No Tasks Found**\\n\\nProject ID: ${projectId}\\n${filter ? `Filter: ${filter}\\n` : ''}\\nUse update_task_status() to create and manage tasks.`;
-    }
+    // Subtasks render under their parent; a task whose parent is not listed becomes a root
+    const listed = new Set(tasks.map(task => task.id));
+    const children = new Map();
+    tasks.forEach(task => {
+      if (task.parent_task_id && listed.has(task.parent_task_id)) {
+        if (!children.has(task.parent_task_id)) children.set(task.parent_task_id, []);
+        children.get(task.parent_task_id).push(task);
+      }
+    });
     
-    let result = `**Tasks Summary**\\n\\n`;
+    const renderTask = (task, depth) => {
+      const statusMarker = { 'completed': '[x]', 'in-progress': '[~]', 'blocked': '[!]' }[task.status] || '[ ]';
+      let line = `${'  '.repeat(depth)}- ${depth > 0 ? `${statusMarker} ` : ''}${task.title}`;
+      if (task.priority && task.priority !== 'medium') {
+        line += ` [${task.priority}]`;
+      }
+      if (task.estimated_effort || task.actual_effort) {
+        const unit = task.effort_unit === 'points' ? 'pt' : 'h';
+        line += ` {est ${task.estimated_effort ? `${task.estimated_effort}${unit}` : '?'}` +
+                `${task.actual_effort ? `, actual ${task.actual_effort}h` : ''}}`;
+      }
+      const progress = rollup.get(task.id);
+      if (progress && progress.total > 0) {
+        line += ` (${progress.completed}/${progress.total} subtasks done)`;
+      }
+      if (detail === 'summary') {
+        line += ` *(${task.id})*`;
+      } else if (task.description) {
+        line += ` - ${this.previewText(task.description, detail)}`;
+      }
+      line += `\n`;
+      (children.get(task.id) || []).forEach(child => {
+        line += renderTask(child, depth + 1);
+      });
+      return line;
+    };
     
-    // Group by status
+    // Group top-level tasks by status
     const tasksByStatus = {
       'todo': [],
       'in-progress': [],
@@ -1149,6 +4712,7 @@ export class Database {
     };
     
     tasks.forEach(task => {
+      if (task.parent_task_id && listed.has(task.parent_task_id)) return;
       const status = task.status || 'todo';
       if (!tasksByStatus[status]) tasksByStatus[status] = [];
       tasksByStatus[status].push(task);
@@ -1157,57 +4721,42 @@ export class Database {
     // Display each status group
     Object.entries(tasksByStatus).forEach(([status, statusTasks]) => {
       if (statusTasks.length > 0) {
-        result += `**${status.toUpperCase().replace('-', ' ')} (${statusTasks.length})**\\n`;
+        result += `**${status.toUpperCase().replace('-', ' ')} (${statusTasks.length})**\n`;
         statusTasks.forEach(task => {
-          result += `- ${task.title}`;
-          if (task.priority && task.priority !== 'medium') {
-            result += ` [${task.priority}]`;
-          }
-          if (task.description) {
-            result += ` - ${task.description.substring(0, 100)}${task.description.length > 100 ? '...' : ''}`;
-          }
-          result += `\\n`;
+          result += renderTask(task, 0);
         });
-        result += `\\n`;
+        result += `\n`;
       }
     });
     
-    result += `Total: ${tasks.length} tasks`;
+    result += this.formatQueryTotal(page, 'tasks', detail);
     
     return result;
   }
 
-  async getDecisionData(db, projectId, filter) {
-    let query = `
-      SELECT * FROM decisions 
-      WHERE project_id = ? AND status = 'active'
-    `;
-    const params = [projectId];
+  async getDecisionRows(db, projectId, filter) {
+    return (await this.queryRows(db, 'decisions', projectId, filter, { all: true })).rows;
+  }
+
+  async getDecisionData(db, projectId, filter, options = {}) {
+    const page = await this.queryRows(db, 'decisions', projectId, filter, options);
     
-    // Apply filters
-    if (filter) {
-      const filterLower = filter.toLowerCase();
-      const validTypes = ['architectural', 'user-preference', 'technical-choice', 'approach-rejected', 'implementation-detail'];
-      
-      if (validTypes.includes(filterLower)) {
-        query += ' AND decision_type = ?';
-        params.push(filterLower);
-      } else {
-        // Text search in title or description
-        query += ' AND (title LIKE ? OR description LIKE ? OR rationale LIKE ?)';
-        params.push(`%${filter}%`, `%${filter}%`, `%${filter}%`);
-      }
+    if (page.rows.length === 0) {
+      return `**No Decisions Found**\n\nProject ID: ${projectId}\n${filter ? `Filter: ${filter}\n` : ''}\nUse record_decision() to log architectural decisions and user preferences.`;
     }
     
-    query += ' ORDER BY decision_date DESC';
-    
-    const decisions = await db.all(query, params);
+    const replacementIds = [...new Set(page.rows.map(decision => decision.superseded_by).filter(Boolean))];
+    const replacements = new Map((await db.all(
+      `SELECT id, title FROM decisions WHERE id IN (${replacementIds.map(() => '?').join(', ')})`,
+      replacementIds
+    )).map(row => [row.id, row.title]));
     
-    if (decisions.length === 0) {
-      return `**No Decisions Found**\\n\\nProject ID: ${projectId}\\n${filter ? `Filter: ${filter}\\n` : ''}\\nUse record_decision() to log architectural decisions and user preferences.`;
-    }
-    
-    let result = `**Decision History**\\n\\n`;
+    return this.fitQueryPage(page, options, (shown, detail) => this.renderDecisionPage(shown, detail, replacements)).text;
+  }
+
+  renderDecisionPage(page, detail, replacements = new Map()) {
+    const decisions = page.rows;
+    let result = `**Decision History**\n\n`;
     
     // Group by type
     const decisionsByType = {};
@@ -1219,60 +4768,54 @@ export class Database {
     
     // Display each type group
     Object.entries(decisionsByType).forEach(([type, typeDecisions]) => {
-      result += `**${type.toUpperCase().replace('-', ' ')} (${typeDecisions.length})**\\n`;
+      result += `**${type.toUpperCase().replace('-', ' ')} (${typeDecisions.length})**\n`;
       typeDecisions.forEach(decision => {
         result += `- **${decision.title}**`;
         if (decision.made_by && decision.made_by !== 'agent') {
           result += ` [by ${decision.made_by}]`;
         }
-        result += `\\n  ${decision.description}`;
+        const replacement = decision.status === 'superseded' && decision.superseded_by
+          ? `**${replacements.get(decision.superseded_by) || decision.superseded_by}** (${decision.superseded_by})`
+          : null;
+        if (detail === 'summary') {
+          result += `${replacement ? ` [superseded by ${replacement}]` : ''} *(${decision.id})*\n`;
+          return;
+        }
+        result += `\n  ${decision.description}`;
         if (decision.rationale) {
-          result += `\\n  *Rationale: ${decision.rationale}*`;
+          result += `\n  *Rationale: ${decision.rationale}*`;
+        }
+        result += `\n  *Decided: ${decision.decision_date}*`;
+        if (replacement) {
+          result += `\n  *Superseded by:* ${replacement}`;
         }
-        result += `\\n  *Decided: ${decision.decision_date}*\\n`;
+        result += `\n`;
       });
-      result += `\\n`;
+      result += `\n`;
     });
     
-    result += `Total: ${decisions.length} active decisions`;
+    result += this.formatQueryTotal(page, 'decisions', detail);
     
     return result;
   }
 
-  async getFileData(db, projectId, filter) {
-    let query = `
-      SELECT * FROM file_mappings 
-      WHERE project_id = ?
-    `;
-    const params = [projectId];
-    
-    // Apply filters
-    if (filter) {
-      const filterLower = filter.toLowerCase();
-      
-      if (['javascript', 'typescript', 'python', 'java', 'css', 'html', 'json', 'markdown'].includes(filterLower)) {
-        query += ' AND file_type = ?';
-        params.push(filterLower);
-      } else if (!isNaN(parseInt(filter))) {
-        // Filter by importance score
-        query += ' AND importance_score >= ?';
-        params.push(parseInt(filter));
-      } else {
-        // Text search in file path, purpose, or analysis
-        query += ' AND (file_path LIKE ? OR purpose LIKE ? OR analysis_summary LIKE ?)';
-        params.push(`%${filter}%`, `%${filter}%`, `%${filter}%`);
-      }
-    }
-    
-    query += ' ORDER BY importance_score DESC, last_analyzed DESC';
-    
-    const files = await db.all(query, params);
+  async getFileRows(db, projectId, filter) {
+    return (await this.queryRows(db, 'files', projectId, filter, { all: true })).rows;
+  }
+
+  async getFileData(db, projectId, filter, options = {}) {
+    const page = await this.queryRows(db, 'files', projectId, filter, options);
     
-    if (files.length === 0) {
-      return `**No File Mappings Found**\\n\\nProject ID: ${projectId}\\n${filter ? `Filter: ${filter}\\n` : ''}\\nUse map_relevant_code() to track codebase understanding and file relationships.`;
+    if (page.rows.length === 0) {
+      return `**No File Mappings Found**\n\nProject ID: ${projectId}\n${filter ? `Filter: ${filter}\n` : ''}\nUse map_relevant_code() to track codebase understanding and file relationships.`;
     }
     
-    let result = `**Codebase Mapping**\\n\\n`;
+    return this.fitQueryPage(page, options, (shown, detail) => this.renderFilePage(shown, detail)).text;
+  }
+
+  renderFilePage(page, detail) {
+    const files = page.rows;
+    let result = `**Codebase Mapping**\n\n`;
     
     // Group by file type
     const filesByType = {};
@@ -1284,85 +4827,61 @@ export class Database {
     
     // Display each type group
     Object.entries(filesByType).forEach(([type, typeFiles]) => {
-      result += `**${type.toUpperCase()} FILES (${typeFiles.length})**\\n`;
+      result += `**${type.toUpperCase()} FILES (${typeFiles.length})**\n`;
       typeFiles.forEach(file => {
         result += `- **${file.file_path}**`;
         if (file.importance_score > 0) {
           result += ` [importance: ${file.importance_score}]`;
         }
-        result += `\\n`;
+        if (detail === 'summary') {
+          result += ` *(${file.id})*\n`;
+          return;
+        }
+        result += `\n`;
         if (file.purpose) {
-          result += `  *Purpose: ${file.purpose}*\\n`;
+          result += `  *Purpose: ${file.purpose}*\n`;
         }
         if (file.analysis_summary) {
-          result += `  ${file.analysis_summary.substring(0, 100)}${file.analysis_summary.length > 100 ? '...' : ''}\\n`;
+          result += `  ${this.previewText(file.analysis_summary, detail)}\n`;
         }
         
         // Show key functions if available
         try {
           const keyFunctions = JSON.parse(file.key_functions || '[]');
           if (keyFunctions.length > 0) {
-            result += `  *Key functions: ${keyFunctions.slice(0, 3).join(', ')}${keyFunctions.length > 3 ? '...' : ''}*\\n`;
+            result += `  *Key functions: ${keyFunctions.slice(0, 3).join(', ')}${keyFunctions.length > 3 ? '...' : ''}*\n`;
           }
         } catch (e) {
           // Ignore JSON parse errors
         }
         
-        result += `  *Last analyzed: ${file.last_analyzed}*\\n`;
+        result += `  *Last analyzed: ${file.last_analyzed}*\n`;
       });
-      result += `\\n`;
+      result += `\n`;
     });
     
-    result += `Total: ${files.length} mapped files`;
+    result += this.formatQueryTotal(page, 'mapped files', detail);
     
     return result;
   }
 
-  async getBlockerData(db, projectId, filter) {
-    const filters = {};
-    
-    // Parse filter into structured filters
-    if (filter) {
-      const filterLower = filter.toLowerCase();
-      
-      if (['open', 'in-progress', 'resolved', 'closed'].includes(filterLower)) {
-        filters.status = filterLower;
-      } else if (['low', 'medium', 'high', 'critical'].includes(filterLower)) {
-        filters.severity = filterLower;
-      } else if (['external', 'resource', 'technical', 'decision', 'dependency'].includes(filterLower)) {
-        filters.blocker_type = filterLower;
-      } else {
-        // Text search in title or description
-        filters.text_search = filter;
-      }
-    }
-    
-    let query = 'SELECT * FROM blockers WHERE project_id = ?';
-    const params = [projectId];
-    
-    // Apply structured filters
-    Object.entries(filters).forEach(([key, value]) => {
-      if (key !== 'text_search') {
-        query += ` AND ${key} = ?`;
-        params.push(value);
-      }
-    });
-    
-    // Apply text search
-    if (filters.text_search) {
-      query += ' AND (title LIKE ? OR description LIKE ?)';
-      params.push(`%${filters.text_search}%`, `%${filters.text_search}%`);
-    }
-    
-    query += ' ORDER BY severity DESC, created_at DESC';
-    
-    const blockers = await db.all(query, params);
+  async getBlockerRows(db, projectId, filter) {
+    return (await this.queryRows(db, 'blockers', projectId, filter, { all: true })).rows;
+  }
+
+  async getBlockerData(db, projectId, filter, options = {}) {
+    const page = await this.queryRows(db, 'blockers', projectId, filter, options);
     
-    if (blockers.length === 0) {
-      return `**No Blockers Found**\\n\\nProject ID: ${projectId}\\n${filter ? `Filter: ${filter}\\n` : ''}\\nUse manage_blockers() to track project impediments and blockers.`;
+    if (page.rows.length === 0) {
+      return `**No Blockers Found**\n\nProject ID: ${projectId}\n${filter ? `Filter: ${filter}\n` : ''}\nUse manage_blockers() to track project impediments and blockers.`;
     }
     
-    let result = `**Project Blockers**\\n\\n`;
+    return this.fitQueryPage(page, options, (shown, detail) => this.renderBlockerPage(shown, detail)).text;
+  }
+
+  renderBlockerPage(page, detail) {
+    const blockers = page.rows;
+    let result = `**Project Blockers**\n\n`;
     
     // Group by status
     const blockersByStatus = {};
@@ -1377,7 +4896,7 @@ export class Database {
     statusOrder.forEach(status => {
       if (blockersByStatus[status]) {
         const statusBlockers = blockersByStatus[status];
-        result += `**${status.toUpperCase()} (${statusBlockers.length})**\\n`;
+        result += `**${status.toUpperCase()} (${statusBlockers.length})**\n`;
         
         statusBlockers.forEach(blocker => {
           const severityIcon = {
@@ -1387,32 +4906,85 @@ export class Database {
             'low': '🟢'
           }[blocker.severity] || '⚪';
           
-          result += `${severityIcon} **${blocker.title}** [${blocker.blocker_type}]\\n`;
+          result += `${severityIcon} **${blocker.title}** [${blocker.blocker_type}]`;
+          if (detail === 'summary') {
+            result += ` *(${blocker.id})*\n`;
+            return;
+          }
+          result += `\n`;
           if (blocker.description) {
-            result += `  ${blocker.description.substring(0, 100)}${blocker.description.length > 100 ? '...' : ''}\\n`;
+            result += `  ${this.previewText(blocker.description, detail)}\n`;
           }
           if (blocker.owner) {
-            result += `  *Owner: ${blocker.owner}*\\n`;
+            result += `  *Owner: ${blocker.owner}*\n`;
           }
           if (blocker.external_ref) {
-            result += `  *Reference: ${blocker.external_ref}*\\n`;
+            result += `  *Reference: ${blocker.external_ref}*\n`;
           }
-          result += `  *Created: ${blocker.created_at}*\\n`;
+          result += `  *Created: ${blocker.created_at}*\n`;
           if (blocker.resolved_at) {
-            result += `  *Resolved: ${blocker.resolved_at}*\\n`;
+            result += `  *Resolved: ${blocker.resolved_at}*\n`;
           }
         });
-        result += `\\n`;
+        result += `\n`;
+      }
+    });
+    
+    result += this.formatQueryTotal(page, 'blockers', detail);
+    
+    return result;
+  }
+
+  async getHistoryRows(db, projectId, filter) {
+    return (await this.queryRows(db, 'history', projectId, filter, { all: true })).rows;
+  }
+
+  async getHistoryData(db, projectId, filter, options = {}) {
+    const page = await this.queryRows(db, 'history', projectId, filter, options);
+    
+    if (page.rows.length === 0) {
+      return `**No History Found**\n\nProject ID: ${projectId}\n${filter ? `Filter: ${filter}\n` : ''}\nChanges are recorded automatically as tasks, decisions and blockers are modified.`;
+    }
+    
+    return this.fitQueryPage(page, options, (shown, detail) => this.renderHistoryPage(shown, detail, filter)).text;
+  }
+
+  renderHistoryPage(page, detail, filter) {
+    const entries = page.rows;
+    // Only a bare entity id names what the history is for; grammar filters just narrow it
+    const entityId = /^[^\s:<>="]+$/.test(String(filter || '').trim()) && !AUDIT_ENTITY_TYPES.includes(filter.trim().toLowerCase())
+      ? filter.trim()
+      : null;
+    let result = entityId
+      ? `**Change History for ${entityId}**\n\n`
+      : `**Project Change History**\n\n`;
+    
+    entries.forEach(entry => {
+      const snapshot = JSON.parse(entry.after_data || entry.before_data || '{}');
+      const label = snapshot.title || snapshot.file_path || snapshot.name || entry.entity_id;
+      
+      result += `- *${entry.created_at}* **${entry.action}** ${entry.entity_type.replace(/_/g, ' ')} "${label}" by ${entry.actor}\n`;
+      
+      if (detail !== 'summary' && ['update', 'resolve', 'supersede'].includes(entry.action)) {
+        Object.entries(JSON.parse(entry.changes || '{}')).forEach(([field, change]) => {
+          result += `  ${field}: ${this.formatHistoryValue(change.from)} → ${this.formatHistoryValue(change.to)}\n`;
+        });
       }
     });
     
-    result += `Total: ${blockers.length} blockers`;
+    result += `\n${this.formatQueryTotal(page, 'changes', detail)}`;
     
     return result;
   }
 
+  formatHistoryValue(value) {
+    if (value === null || value === undefined || value === '') return '∅';
+    const text = String(value);
+    return text.length > 60 ? `${text.substring(0, 60)}...` : text;
+  }
+
   // File mapping operations
-  async mapRelevantCode(db, projectId, filePath, analysis) {
+  async mapRelevantCode(db, projectId, filePath, analysis, actor = 'agent') {
     // Check if file already exists
     const existing = await db.get(
       'SELECT id FROM file_mappings WHERE project_id = ? AND file_path = ?',
@@ -1432,10 +5004,12 @@ export class Database {
 
     if (existing) {
       // Update existing mapping
+      const before = await this.getRow(db, 'file_mappings', existing.id);
       const result = await this.runCustom(db, `
         UPDATE file_mappings 
         SET file_type = ?, purpose = ?, key_functions = ?, dependencies = ?, 
-            importance_score = ?, analysis_summary = ?, last_analyzed = ?
+            importance_score = ?, analysis_summary = ?, last_analyzed = ?,
+            updated_at = CURRENT_TIMESTAMP, deleted_at = NULL
         WHERE id = ?
       `, [
         file_type,
@@ -1447,6 +5021,15 @@ export class Database {
         now,
         existing.id
       ]);
+
+      await this.recordAudit(db, {
+        entity_type: 'file_mapping',
+        entity_id: existing.id,
+        action: before.deleted_at ? 'restore' : 'update',
+        before,
+        after: await this.getRow(db, 'file_mappings', existing.id),
+        actor
+      });
       
       return {
         success: true,
@@ -1456,12 +5039,14 @@ export class Database {
       };
     } else {
       // Create new mapping
+      const mappingId = this.generateId();
       const result = await this.runCustom(db, `
         INSERT INTO file_mappings 
-        (project_id, file_path, file_type, purpose, key_functions, dependencies, 
-         importance_score, analysis_summary, first_analyzed, last_analyzed)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        (id, project_id, file_path, file_type, purpose, key_functions, dependencies, 
+         importance_score, analysis_summary, created_at, last_analyzed)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
+        mappingId,
         projectId,
         filePath,
         file_type,
@@ -1473,21 +5058,43 @@ export class Database {
         now,
         now
       ]);
+
+      await this.recordAudit(db, {
+        entity_type: 'file_mapping',
+        entity_id: mappingId,
+        action: 'create',
+        after: await this.getRow(db, 'file_mappings', mappingId),
+        actor
+      });
       
       return {
         success: true,
         message: `Mapped new file ${filePath}`,
-        file_id: result.lastID,
+        file_id: mappingId,
         changes: result.changes
       };
     }
   }
 
-  async removeFileMapping(db, projectId, filePath) {
-    const result = await this.runCustom(db, 
-      'DELETE FROM file_mappings WHERE project_id = ? AND file_path = ?',
-      [projectId, filePath]
-    );
+  async removeFileMapping(db, projectId, filePath, actor = 'agent') {
+    const before = await db.get(`
+      SELECT * FROM file_mappings WHERE project_id = ? AND file_path = ? AND deleted_at IS NULL
+    `, [projectId, filePath]);
+    const result = await this.runCustom(db, `
+      UPDATE file_mappings SET deleted_at = CURRENT_TIMESTAMP
+      WHERE project_id = ? AND file_path = ? AND deleted_at IS NULL
+    `, [projectId, filePath]);
+
+    if (before) {
+      await this.recordAudit(db, {
+        entity_type: 'file_mapping',
+        entity_id: before.id,
+        action: 'delete',
+        before,
+        after: await this.getRow(db, 'file_mappings', before.id),
+        actor
+      });
+    }
     
     return {
       success: result.changes > 0,
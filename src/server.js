@@ -4,10 +4,69 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { 
   CallToolRequestSchema, 
-  ListToolsRequestSchema
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
 
-import { Database } from './database.js';
+import { Database, DEPENDENCY_TYPES } from './database.js';
+
+// Resource collections under planning://<project_id>/, keyed by the audited entity type
+const RESOURCE_COLLECTIONS = {
+  task: 'tasks',
+  decision: 'decisions',
+  blocker: 'blockers',
+  file_mapping: 'files'
+};
+
+// Child entities whose changes surface through their parent collection
+const RELATED_COLLECTIONS = {
+  task_dependency: 'tasks',
+  blocker_impact: 'blockers',
+  task_time_log: 'tasks'
+};
+
+const PROJECT_PROMPT_ARGUMENTS = [
+  { name: 'project_path', description: 'Absolute path to the project directory', required: true },
+  { name: 'branch', description: 'Git branch name (optional - will detect from git if not provided)', required: false }
+];
+
+// Prompt templates filled with live project data by getPrompt()
+const PROMPTS = [
+  {
+    name: 'resume_session',
+    description: 'Pick up where the last session left off: goal, in-progress work, critical blockers and recent decisions',
+    arguments: PROJECT_PROMPT_ARGUMENTS
+  },
+  {
+    name: 'plan_feature',
+    description: 'Break a new feature into tasks and dependencies that fit the existing plan',
+    arguments: [
+      ...PROJECT_PROMPT_ARGUMENTS,
+      { name: 'feature', description: 'The feature to plan', required: true }
+    ]
+  },
+  {
+    name: 'triage_blockers',
+    description: 'Review open blockers by severity and decide how to resolve, escalate or work around each',
+    arguments: PROJECT_PROMPT_ARGUMENTS
+  },
+  {
+    name: 'write_adr',
+    description: 'Draft an architecture decision record consistent with earlier decisions, then record it',
+    arguments: [
+      ...PROJECT_PROMPT_ARGUMENTS,
+      { name: 'topic', description: 'The decision to document', required: true }
+    ]
+  }
+];
+
+const RESOURCE_URI_PATTERN = /^planning:\/\/([^/]+)\/(summary|tasks|decisions|blockers|files)(?:\/([^/]+))?$/;
 
 class AIReasoningFrameworkServer {
   constructor() {
@@ -18,13 +77,28 @@ class AIReasoningFrameworkServer {
       },
       {
         capabilities: {
-          tools: {}
+          tools: {},
+          resources: {
+            subscribe: true,
+            listChanged: true
+          },
+          prompts: {}
         }
       }
     );
 
     this.db = new Database();
+
+    // Project directories seen in tool calls; resources are served from their databases
+    this.projectPaths = new Set([process.cwd()]);
+    this.projectIndex = new Map();
+    this.subscriptions = new Set();
+    this.pendingChanges = [];
+    this.db.on('change', change => this.pendingChanges.push(change));
+
     this.setupToolHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
   }
 
   setupToolHandlers() {
@@ -45,6 +119,11 @@ class AIReasoningFrameworkServer {
                 branch: {
                   type: 'string',
                   description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
                 }
               },
               required: ['project_path']
@@ -76,6 +155,15 @@ class AIReasoningFrameworkServer {
                   type: 'string',
                   enum: ['feature', 'refactor', 'bugfix', 'research', 'other'],
                   description: 'Type of project work'
+                },
+                fork_from: {
+                  type: 'string',
+                  description: 'Parent branch to copy tasks, decisions, blockers and file mappings from (optional, fresh branches only)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
                 }
               },
               required: ['project_path', 'goal', 'scope', 'branch']
@@ -93,12 +181,48 @@ class AIReasoningFrameworkServer {
                 },
                 query_type: {
                   type: 'string',
-                  enum: ['tasks', 'decisions', 'files', 'blockers', 'summary'],
-                  description: 'Type of information to retrieve'
+                  enum: ['tasks', 'decisions', 'files', 'blockers', 'summary', 'history'],
+                  description: 'Type of information to retrieve; summary is a dashboard of progress, blockers, recent decisions, key files, stale and ready tasks'
                 },
                 filter: {
                   type: 'string',
-                  description: 'Optional filter to narrow results'
+                  description: 'Optional filter, e.g. `status:in-progress priority:high assignee:alice created>2026-09-01 "oauth flow"`. ' +
+                    'Terms are ANDed; field:a,b matches any listed value; dates support > >= < <=; bare words and quoted phrases search text ' +
+                    '(for history: an entity ID or entity type). Also sort:field or sort:-field, limit:N and cursor:<next_cursor>'
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Page size (default 50, or 100 for history)'
+                },
+                cursor: {
+                  type: 'string',
+                  description: 'next_cursor from the previous page'
+                },
+                max_chars: {
+                  type: 'number',
+                  description: 'Character budget (about 4 characters per token). Over budget, rows drop to one-line summaries, then trailing rows move to the next page'
+                },
+                detail: {
+                  type: 'string',
+                  enum: ['summary', 'full'],
+                  description: 'summary: one line per row with its id; full: complete descriptions. Default shows previews'
+                },
+                include_superseded: {
+                  type: 'boolean',
+                  description: 'For decisions: also list superseded decisions, each linked to its replacement'
+                },
+                stale_days: {
+                  type: 'number',
+                  description: 'For summary: open tasks not updated in this many days are listed as stale (default 7)'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
                 }
               },
               required: ['project_path', 'query_type']
@@ -121,7 +245,20 @@ class AIReasoningFrameworkServer {
                 },
                 confirm: {
                   type: 'boolean',
-                  description: 'Confirmation flag - must be true to proceed'
+                  description: 'Confirmation flag - must be true, together with plan_hash, to proceed; otherwise a dry-run preview of the rows to be removed is returned'
+                },
+                plan_hash: {
+                  type: 'string',
+                  description: 'plan_hash from the dry-run preview; the clear only runs if the plan is unchanged, otherwise a fresh preview is returned'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
                 }
               },
               required: ['project_path', 'scope', 'confirm']
@@ -129,7 +266,7 @@ class AIReasoningFrameworkServer {
           },
           {
             name: 'update_task_status',
-            description: 'Create, update, complete, or delete tasks within the current project context',
+            description: 'Create, update, start, stop, complete, or delete tasks within the current project context',
             inputSchema: {
               type: 'object',
               properties: {
@@ -139,12 +276,12 @@ class AIReasoningFrameworkServer {
                 },
                 action: {
                   type: 'string',
-                  enum: ['create', 'update', 'complete', 'delete'],
-                  description: 'Action to perform on the task'
+                  enum: ['create', 'update', 'start', 'stop', 'complete', 'delete'],
+                  description: 'Action to perform on the task (start/stop move it in and out of in-progress and log the time spent)'
                 },
                 task_id: {
                   type: 'string',
-                  description: 'Task ID (required for update, complete, delete actions)'
+                  description: 'Task ID (required for update, start, stop, complete, delete actions)'
                 },
                 title: {
                   type: 'string',
@@ -171,6 +308,36 @@ class AIReasoningFrameworkServer {
                 notes: {
                   type: 'string',
                   description: 'Additional notes (optional)'
+                },
+                parent_task_id: {
+                  type: 'string',
+                  description: 'Parent task ID to create the task as a subtask, or on update to move it under another parent (empty string moves it to the top level)'
+                },
+                estimated_effort: {
+                  type: 'number',
+                  description: 'Estimated effort in effort_unit (optional)'
+                },
+                effort_unit: {
+                  type: 'string',
+                  enum: ['hours', 'points'],
+                  description: 'Unit of estimated_effort (defaults to hours); actual effort is always logged in hours'
+                },
+                cascade: {
+                  type: 'boolean',
+                  description: 'For complete: also complete every open subtask (otherwise completing a parent with open subtasks is refused)'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
                 }
               },
               required: ['project_path', 'action']
@@ -220,11 +387,51 @@ class AIReasoningFrameworkServer {
                 made_by: {
                   type: 'string',
                   description: 'Who made this decision (defaults to "agent")'
+                },
+                supersedes: {
+                  type: 'string',
+                  description: 'ID of an active decision this one replaces; it is marked superseded and linked to the new decision (optional)'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
                 }
               },
               required: ['project_path', 'decision_type', 'title', 'description']
             }
           },
+          {
+            name: 'decision_lineage',
+            description: 'Show the full revision history of a decision by walking superseded_by links, oldest first, ending with the decision currently in force',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                decision_id: {
+                  type: 'string',
+                  description: 'Any decision in the chain'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path', 'decision_id']
+            }
+          },
           {
             name: 'debug_database_location',
             description: 'Shows where the database file is located for debugging',
@@ -234,6 +441,11 @@ class AIReasoningFrameworkServer {
                 project_path: {
                   type: 'string',
                   description: 'Absolute path to the project directory'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
                 }
               },
               required: ['project_path']
@@ -286,11 +498,63 @@ class AIReasoningFrameworkServer {
                     }
                   },
                   description: 'Analysis data for the mapped file'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
                 }
               },
               required: ['project_path', 'file_path', 'analysis']
             }
           },
+          {
+            name: 'search',
+            description: 'Full-text search across tasks, decisions, blockers and file mappings with ranked, highlighted hits. Supports "exact phrases", prefix* words, AND/OR/NOT, and type:task|decision|blocker|file and status:<value> facets',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                query: {
+                  type: 'string',
+                  description: 'Search query, e.g. \'"rate limit" auth* type:task status:todo\''
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum number of hits to return (default 20)'
+                },
+                cursor: {
+                  type: 'string',
+                  description: 'next_cursor from the previous page of hits'
+                },
+                max_chars: {
+                  type: 'number',
+                  description: 'Character budget for the hits; trailing hits beyond it move to the next page'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path', 'query']
+            }
+          },
           {
             name: 'manage_task_dependencies',
             description: 'Manage task dependencies including adding, removing, and querying task relationships',
@@ -320,8 +584,22 @@ class AIReasoningFrameworkServer {
                 },
                 dependency_type: {
                   type: 'string',
-                  enum: ['blocks', 'subtask', 'prerequisite'],
-                  description: 'Type of dependency relationship (optional, defaults to blocks)'
+                  enum: Object.keys(DEPENDENCY_TYPES),
+                  description: 'Type of dependency relationship (optional, defaults to blocks): ' +
+                    Object.entries(DEPENDENCY_TYPES).map(([type, { description }]) => `${type} - ${description}`).join('; ')
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
                 }
               },
               required: ['project_path', 'action']
@@ -401,109 +679,1583 @@ class AIReasoningFrameworkServer {
                 filter: {
                   type: 'string',
                   description: 'Filter for query action (status, severity, type, or text search)'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
                 }
               },
               required: ['project_path', 'action']
             }
-          }
-        ]
-      };
-    });
-
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+          },
+          {
+            name: 'merge_branch_context',
+            description: 'Fold a merged branch\'s planning context (tasks, decisions, blockers, file mappings) into another branch and mark the source as merged',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                source_branch: {
+                  type: 'string',
+                  description: 'Branch whose context is being merged'
+                },
+                target_branch: {
+                  type: 'string',
+                  description: 'Branch receiving the context (optional - will detect from git if not provided)'
+                },
+                conflict_strategy: {
+                  type: 'string',
+                  enum: ['newest', 'source', 'target'],
+                  description: 'Which file mapping wins when both branches mapped the same file (optional, defaults to newest)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path', 'source_branch']
+            }
+          },
+          {
+            name: 'trash',
+            description: 'List, restore, or permanently purge deleted projects, tasks, decisions, blockers and file mappings',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                action: {
+                  type: 'string',
+                  enum: ['list', 'restore', 'purge'],
+                  description: 'Action to perform on the trash'
+                },
+                entity_type: {
+                  type: 'string',
+                  enum: ['project', 'task', 'decision', 'blocker', 'file_mapping'],
+                  description: 'Type of the trashed entity (required for restore, optional filter for list and purge)'
+                },
+                entity_id: {
+                  type: 'string',
+                  description: 'ID of the trashed entity (required for restore; for purge, omit to empty the trash)'
+                },
+                confirm: {
+                  type: 'boolean',
+                  description: 'Confirmation flag - must be true to purge, which cannot be undone'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path', 'action']
+            }
+          },
+          {
+            name: 'bulk_tasks',
+            description: 'Apply many task creates, updates, completes and deletes plus dependency links in one all-or-nothing transaction, wiring new tasks together with temporary ids',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                operations: {
+                  type: 'array',
+                  description: 'Task operations, applied in order',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      action: {
+                        type: 'string',
+                        enum: ['create', 'update', 'complete', 'delete']
+                      },
+                      temp_id: {
+                        type: 'string',
+                        description: 'Client-side id for a created task; later operations and dependencies may use it wherever a task id is expected'
+                      },
+                      task_id: {
+                        type: 'string',
+                        description: 'Task id or temp_id (required for update, complete and delete)'
+                      },
+                      title: { type: 'string' },
+                      description: { type: 'string' },
+                      status: {
+                        type: 'string',
+                        enum: ['todo', 'in-progress', 'blocked', 'completed']
+                      },
+                      priority: {
+                        type: 'string',
+                        enum: ['high', 'medium', 'low']
+                      },
+                      assignee: { type: 'string' },
+                      notes: { type: 'string' },
+                      parent_task_id: {
+                        type: 'string',
+                        description: 'Parent task id or temp_id'
+                      },
+                      estimated_effort: { type: 'number' },
+                      effort_unit: {
+                        type: 'string',
+                        enum: ['hours', 'points']
+                      },
+                      cascade: {
+                        type: 'boolean',
+                        description: 'For complete: also complete open subtasks'
+                      }
+                    },
+                    required: ['action']
+                  }
+                },
+                dependencies: {
+                  type: 'array',
+                  description: 'Dependency links to add after the operations; ids may be temp_ids',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      parent_task_id: { type: 'string' },
+                      child_task_id: { type: 'string' },
+                      dependency_type: {
+                        type: 'string',
+                        enum: Object.keys(DEPENDENCY_TYPES),
+                        description: 'Defaults to blocks'
+                      }
+                    },
+                    required: ['parent_task_id', 'child_task_id']
+                  }
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path']
+            }
+          },
+          {
+            name: 'import_plan',
+            description: 'Import a Markdown checklist as tasks: indentation nests subtasks, [x] completes, !high/!medium/!low and @name set priority and assignee, numbered items block each other in order. Re-importing updates matching tasks instead of duplicating them',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                markdown: {
+                  type: 'string',
+                  description: 'Markdown document containing "- [ ] task" checklist items'
+                },
+                dry_run: {
+                  type: 'boolean',
+                  description: 'Report what would be created and updated without changing anything (default false)'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path', 'markdown']
+            }
+          },
+          {
+            name: 'export_plan',
+            description: 'Write the plan as deterministic, diff-friendly files for committing: PLAN.md, decisions/NNN-title.md ADRs, blockers.md and files.yaml',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                output_dir: {
+                  type: 'string',
+                  description: 'Directory to write to (defaults to <project_path>/planning)'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path']
+            }
+          },
+          {
+            name: 'import_snapshot',
+            description: 'Rebuild or update the planning database from a snapshot.json written by export_plan, keeping ids; newer local edits are reported as conflicts instead of being overwritten. Only snapshot.json is read: edits to the exported Markdown or YAML files are not imported',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch to import into; must match the snapshot\'s branch (optional - will detect from git if not provided)'
+                },
+                source: {
+                  type: 'string',
+                  description: 'Export directory or snapshot.json file (defaults to <project_path>/planning)'
+                },
+                dry_run: {
+                  type: 'boolean',
+                  description: 'Report what would be created, updated and in conflict without changing anything (default false)'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "import")'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path']
+            }
+          },
+          {
+            name: 'export_dependency_graph',
+            description: 'Export the task dependency graph as Graphviz DOT, a Mermaid flowchart or a JSON node/edge list, optionally scoped to one task\'s neighborhood',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                format: {
+                  type: 'string',
+                  enum: ['dot', 'mermaid', 'json'],
+                  description: 'Graph format (default mermaid)'
+                },
+                root_task_id: {
+                  type: 'string',
+                  description: 'Only export the tasks connected to this task'
+                },
+                direction: {
+                  type: 'string',
+                  enum: ['upstream', 'downstream', 'both'],
+                  description: 'With root_task_id: follow dependencies towards prerequisites, dependents, or both (default both)'
+                },
+                include_blockers: {
+                  type: 'boolean',
+                  description: 'Add open blockers as nodes linked to the tasks they impact (default false)'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path']
+            }
+          },
+          {
+            name: 'next_task',
+            description: 'Recommend the next todo task to work on, ranked by priority, downstream impact, blockers, age and assignee, with the reasoning; optionally start it',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                assignee: {
+                  type: 'string',
+                  description: 'Who will do the work - favors tasks assigned to them and claims unassigned tasks on start'
+                },
+                start: {
+                  type: 'boolean',
+                  description: 'Mark the recommended task in-progress in the same transaction as the ranking (default false)'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path']
+            }
+          },
+          {
+            name: 'plan_analysis',
+            description: 'Analyze the task graph: execution order, critical path from estimates, tasks ready to start, and tasks held up by open blockers',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path']
+            }
+          },
+          {
+            name: 'effort_report',
+            description: 'Compare estimated with actual effort on completed tasks, per assignee and per project type',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                scope: {
+                  type: 'string',
+                  enum: ['all', 'current_project'],
+                  description: 'Report on every project in the database (default) or only the current one'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path']
+            }
+          },
+          {
+            name: 'start_session',
+            description: 'Start a working session and get a digest of what changed since the last session ended',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                goal: {
+                  type: 'string',
+                  description: 'What this session intends to accomplish (optional)'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is working in this session (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path']
+            }
+          },
+          {
+            name: 'end_session',
+            description: 'End the working session, recording the tasks, decisions, files and blockers it touched plus a handoff note for the next session',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                handoff_note: {
+                  type: 'string',
+                  description: 'Where things stand and what the next session needs to know'
+                },
+                next_steps: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Concrete next steps for the next session (optional)'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path', 'handoff_note']
+            }
+          },
+          {
+            name: 'undo',
+            description: 'Revert the last operation (or last N operations) made in the current project',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                steps: {
+                  type: 'number',
+                  description: 'Number of operations to undo (defaults to 1)'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path']
+            }
+          },
+          {
+            name: 'redo',
+            description: 'Re-apply operations reverted by undo, most recently undone first',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: {
+                  type: 'string',
+                  description: 'Absolute path to the project directory'
+                },
+                steps: {
+                  type: 'number',
+                  description: 'Number of operations to redo (defaults to 1)'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who is making this change, recorded in the audit log (defaults to "agent")'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name (optional - will detect from git if not provided)'
+                },
+                output_format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Response format: markdown text (default) or a JSON resource block with full row objects'
+                }
+              },
+              required: ['project_path']
+            }
+          }
+        ]
+      };
+    });
+
+    // Handle tool calls
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+
+      if (args.project_path) {
+        this.projectPaths.add(args.project_path);
+      }
+
+      const result = this.formatToolResult(name, args, await this.callTool(name, args));
+      await this.flushResourceUpdates();
+      return result;
+    });
+  }
+
+  setupResourceHandlers() {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const projects = await this.getKnownProjects();
+      const resources = [];
+
+      projects.forEach(project => {
+        const label = `${project.name} [${project.branch}]`;
+        resources.push({
+          uri: `planning://${project.id}/summary`,
+          name: `${label} summary`,
+          description: project.goal,
+          mimeType: 'application/json'
+        });
+        Object.values(RESOURCE_COLLECTIONS).forEach(collection => {
+          resources.push({
+            uri: `planning://${project.id}/${collection}`,
+            name: `${label} ${collection}`,
+            mimeType: 'application/json'
+          });
+        });
+      });
+
+      return { resources };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: Object.entries(RESOURCE_COLLECTIONS).map(([entityType, collection]) => ({
+          uriTemplate: `planning://{project_id}/${collection}/{id}`,
+          name: `Single ${entityType.replace('_', ' ')}`,
+          mimeType: 'application/json'
+        }))
+      };
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const { projectId, collection, entityId } = this.parseResourceUri(uri);
+      const projectPath = await this.findProjectPath(projectId);
+      const data = await this.db.getProjectResource(projectPath, projectId, collection, entityId);
+
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify(data, null, 2)
+          }
+        ]
+      };
+    });
+
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.parseResourceUri(request.params.uri);
+      this.subscriptions.add(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      return {};
+    });
+  }
+
+  setupPromptHandlers() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: PROMPTS };
+    });
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      const prompt = PROMPTS.find(candidate => candidate.name === name);
+
+      if (!prompt) {
+        throw new Error(`Unknown prompt: ${name}. Supported: ${PROMPTS.map(candidate => candidate.name).join(', ')}`);
+      }
+
+      const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]);
+      if (missing.length > 0) {
+        throw new Error(`Missing required arguments for ${name}: ${missing.map(argument => argument.name).join(', ')}`);
+      }
+
+      this.projectPaths.add(args.project_path);
+      const branch = await this.resolveBranch(args);
+      const context = await this.db.getPromptContext(args.project_path, branch, { topic: args.topic });
+
+      const builders = {
+        resume_session: () => this.buildResumeSessionPrompt(context),
+        plan_feature: () => this.buildPlanFeaturePrompt(context, args.feature),
+        triage_blockers: () => this.buildTriageBlockersPrompt(context),
+        write_adr: () => this.buildWriteAdrPrompt(context, args.topic)
+      };
+
+      return {
+        description: prompt.description,
+        messages: [
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: builders[name]()
+            }
+          }
+        ]
+      };
+    });
+  }
+
+  formatPromptProject({ project }) {
+    return `**Goal:** ${project.goal}\n` +
+           `**Scope:** ${project.scope}\n` +
+           `**Branch:** ${project.branch}\n` +
+           `**Project ID:** ${project.id}\n`;
+  }
+
+  formatPromptList(rows, formatRow, emptyText) {
+    return rows.length > 0
+      ? rows.map(row => `- ${formatRow(row)}`).join('\n') + '\n'
+      : `${emptyText}\n`;
+  }
+
+  buildResumeSessionPrompt(context) {
+    return `You are resuming work on an existing project. Review the saved planning context before doing anything else.\n\n` +
+           this.formatPromptProject(context) +
+           (context.since_last_session ? `\n${this.formatSessionDigest(context.since_last_session)}` : '') +
+           `\n**In-progress tasks:**\n` +
+           this.formatPromptList(context.in_progress_tasks,
+             task => `${task.title} [${task.priority}] (${task.id})${task.notes ? ` - ${task.notes}` : ''}`,
+             'None - pick the highest priority open task next.') +
+           `\n**Open critical blockers:**\n` +
+           this.formatPromptList(context.critical_blockers,
+             blocker => `${blocker.title} [${blocker.blocker_type}]${blocker.owner ? `, owner ${blocker.owner}` : ''} (${blocker.id})`,
+             'None.') +
+           `\n**Recent decisions:**\n` +
+           this.formatPromptList(context.recent_decisions,
+             decision => `${decision.title} [${decision.decision_type}] - ${decision.description}`,
+             'None recorded yet.') +
+           `\nSummarize where things stand in a few sentences, then continue the in-progress work. ` +
+           `Keep task status current with update_task_status, do not contradict the decisions above without recording a new one, ` +
+           `and raise anything that stops progress with manage_blockers.`;
+  }
+
+  buildPlanFeaturePrompt(context, feature) {
+    return `Plan the following feature for this project: **${feature}**\n\n` +
+           this.formatPromptProject(context) +
+           `\n**Existing open tasks (avoid duplicating these):**\n` +
+           this.formatPromptList(context.open_tasks,
+             task => `${task.title} [${task.status}, ${task.priority}] (${task.id})`,
+             'None.') +
+           `\n**Decisions the plan must respect:**\n` +
+           this.formatPromptList(context.recent_decisions,
+             decision => `${decision.title} - ${decision.description}`,
+             'None recorded yet.') +
+           `\nBreak the feature into small, independently verifiable tasks. Create each with update_task_status, ` +
+           `link ordering constraints with manage_task_dependencies, and record any design choice you make with record_decision. ` +
+           `Finish with the proposed order of work.`;
+  }
+
+  buildTriageBlockersPrompt(context) {
+    return `Triage the open blockers on this project.\n\n` +
+           this.formatPromptProject(context) +
+           `\n**Open blockers (most severe first):**\n` +
+           this.formatPromptList(context.open_blockers,
+             blocker => `${blocker.title} [${blocker.severity}, ${blocker.blocker_type}, ${blocker.status}] ` +
+                        `blocking ${blocker.impacted_tasks} task(s)${blocker.owner ? `, owner ${blocker.owner}` : ''} (${blocker.id})` +
+                        (blocker.description ? `\n  ${blocker.description}` : ''),
+             'None - report that nothing is blocked.') +
+           `\nFor each blocker decide whether to resolve it now, escalate it to its owner, or work around it. ` +
+           `Apply the outcome with manage_blockers (update, resolve or add_impact) and say which tasks can proceed afterwards.`;
+  }
+
+  buildWriteAdrPrompt(context, topic) {
+    return `Write an architecture decision record about: **${topic}**\n\n` +
+           this.formatPromptProject(context) +
+           `\n**Related earlier decisions:**\n` +
+           this.formatPromptList(context.related_decisions,
+             decision => `${decision.title} [${decision.decision_type}] - ${decision.description}` +
+                         (decision.rationale ? ` (rationale: ${decision.rationale})` : ''),
+             'None found.') +
+           `\n**Recent decisions:**\n` +
+           this.formatPromptList(context.recent_decisions,
+             decision => `${decision.title} [${decision.decision_type}]`,
+             'None recorded yet.') +
+           `\nDraft the ADR with the sections Context, Decision, Alternatives Considered and Consequences, ` +
+           `and call out any conflict with the decisions above. Once agreed, store it with record_decision ` +
+           `using decision_type "architectural", the rationale, alternatives_considered and impacts.`;
+  }
+
+  parseResourceUri(uri) {
+    const match = RESOURCE_URI_PATTERN.exec(uri);
+
+    if (!match || (match[2] === 'summary' && match[3])) {
+      throw new Error(`Invalid resource URI: ${uri}. Expected planning://<project_id>/<summary|tasks|decisions|blockers|files>[/<id>]`);
+    }
+
+    return { projectId: match[1], collection: match[2], entityId: match[3] || null };
+  }
+
+  async getKnownProjects() {
+    const { join } = await import('path');
+    const fs = await import('fs');
+    const projects = [];
+
+    for (const projectPath of this.projectPaths) {
+      // Never create a .planning directory just by listing
+      if (!fs.existsSync(join(projectPath, '.planning', 'database.db'))) continue;
+
+      for (const project of await this.db.listProjects(projectPath)) {
+        this.projectIndex.set(project.id, projectPath);
+        projects.push(project);
+      }
+    }
+
+    return projects;
+  }
+
+  async findProjectPath(projectId) {
+    if (!this.projectIndex.has(projectId)) {
+      await this.getKnownProjects();
+    }
+
+    if (!this.projectIndex.has(projectId)) {
+      throw new Error(`Unknown project: ${projectId}`);
+    }
+
+    return this.projectIndex.get(projectId);
+  }
+
+  async flushResourceUpdates() {
+    // Changes are queued during the tool call and sent once its writes have committed
+    const changes = this.pendingChanges.splice(0);
+    const uris = new Set();
+    let listChanged = false;
+
+    changes.forEach(({ project_id, entity_type, entity_id }) => {
+      if (!project_id) return;
+      const base = `planning://${project_id}`;
+      uris.add(`${base}/summary`);
+
+      if (entity_type === 'project') {
+        // Create, fork, merge, clear and restore can touch every collection
+        Object.values(RESOURCE_COLLECTIONS).forEach(collection => uris.add(`${base}/${collection}`));
+        listChanged = true;
+      } else if (RESOURCE_COLLECTIONS[entity_type]) {
+        uris.add(`${base}/${RESOURCE_COLLECTIONS[entity_type]}`);
+        uris.add(`${base}/${RESOURCE_COLLECTIONS[entity_type]}/${entity_id}`);
+      } else if (RELATED_COLLECTIONS[entity_type]) {
+        uris.add(`${base}/${RELATED_COLLECTIONS[entity_type]}`);
+      }
+    });
+
+    try {
+      for (const uri of uris) {
+        if (this.subscriptions.has(uri)) {
+          await this.server.sendResourceUpdated({ uri });
+        }
+      }
+      if (listChanged) {
+        await this.server.sendResourceListChanged();
+      }
+    } catch (error) {
+      console.error('Failed to send resource notifications:', error.message);
+    }
+  }
+
+  async callTool(name, args) {
+    try {
+      if (args.output_format && !['markdown', 'json'].includes(args.output_format)) {
+        throw new Error(`Invalid output_format: ${args.output_format}. Must be one of: markdown, json`);
+      }
+
+      switch (name) {
+        case 'get_current_context':
+          return await this.getCurrentContext(args);
+        
+        case 'initialize_context':
+          return await this.initializeContext(args);
+        
+        case 'query_context':
+          return await this.queryContext(args);
+        
+        case 'clear_context':
+          return await this.clearContext(args);
+        
+        case 'update_task_status':
+          return await this.updateTaskStatus(args);
+        
+        case 'record_decision':
+          return await this.recordDecision(args);
+
+        case 'decision_lineage':
+          return await this.decisionLineage(args);
+        
+        case 'debug_database_location':
+          return await this.debugDatabaseLocation(args);
+
+        case 'map_relevant_code':
+          return await this.mapRelevantCode(args);
+
+        case 'manage_task_dependencies':
+          return await this.manageTaskDependencies(args);
+
+        case 'manage_blockers':
+          return await this.manageBlockers(args);
+
+        case 'merge_branch_context':
+          return await this.mergeBranchContext(args);
+
+        case 'trash':
+          return await this.manageTrash(args);
+
+        case 'bulk_tasks':
+          return await this.bulkTasks(args);
+
+        case 'import_plan':
+          return await this.importPlan(args);
+
+        case 'export_plan':
+          return await this.exportPlan(args);
+
+        case 'search':
+          return await this.search(args);
+
+        case 'import_snapshot':
+          return await this.importSnapshot(args);
+
+        case 'export_dependency_graph':
+          return await this.exportDependencyGraph(args);
+
+        case 'next_task':
+          return await this.nextTask(args);
+
+        case 'plan_analysis':
+          return await this.planAnalysis(args);
+
+        case 'effort_report':
+          return await this.effortReport(args);
+
+        case 'start_session':
+          return await this.startSession(args);
+
+        case 'end_session':
+          return await this.endSession(args);
+
+        case 'undo':
+        case 'redo':
+          return await this.replayOperations(name, args);
+
+        default:
+          throw new Error(`Unknown tool: ${name}`);
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error executing ${name}: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  // Tool implementations
+  async getCurrentContext(args) {
+    const branch = await this.resolveBranch(args);
+    const context = await this.db.getCurrentContext(args.project_path, branch);
+    
+    if (!context) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'No project context found. Call initialize_context() after gathering project requirements and goals from the user.'
+          }
+        ]
+      };
+    }
+
+    const digest = await this.db.getSessionDigest(args.project_path, branch);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Project context loaded:\n\n**Goal:** ${context.goal}\n**Status:** ${context.status}\n**Branch:** ${context.branch}\n**Last Updated:** ${context.updated_at}\n\n` +
+                (digest ? this.formatSessionDigest(digest) : '') +
+                `Use query_context() to get specific details about tasks, decisions, or relevant files.`
+        }
+      ],
+      data: { ...this.db.parseJsonColumns('projects', context), since_last_session: digest }
+    };
+  }
+
+  async bulkTasks(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const result = await this.db.bulkTasks(args.project_path, {
+        branch,
+        operations: args.operations || [],
+        dependencies: args.dependencies || [],
+        actor: args.actor
+      });
+
+      let text = `📦 **Bulk update applied:** ${result.results.length} task operations, ${result.dependencies.length} dependencies\n\n`;
+
+      const created = Object.entries(result.id_map);
+      if (created.length > 0) {
+        text += `**Created Tasks**\n`;
+        created.forEach(([tempId, taskId]) => {
+          text += `- ${tempId} → ${taskId}\n`;
+        });
+        text += `\n`;
+      }
+
+      const counts = {};
+      result.results.forEach(entry => {
+        counts[entry.action] = (counts[entry.action] || 0) + 1;
+      });
+      Object.entries(counts).forEach(([action, count]) => {
+        text += `- ${count} ${action}\n`;
+      });
+
+      text += `\nA single undo() reverts the whole batch.`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: result
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Bulk update failed, nothing was applied: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async importPlan(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const result = await this.db.importPlan(args.project_path, {
+        branch,
+        markdown: args.markdown,
+        dry_run: args.dry_run === true,
+        actor: args.actor
+      });
+
+      const icon = { 'create': '➕', 'update': '✏️', 'unchanged': '•' };
+      let text = `${result.dry_run ? '🔍 **Plan Import Preview**' : '📥 **Plan Imported**'}\n\n` +
+                 `**Created:** ${result.created} | **Updated:** ${result.updated} | **Unchanged:** ${result.unchanged} | ` +
+                 `**Dependencies Added:** ${result.dependencies_added}\n\n`;
+      result.tasks.forEach(task => {
+        text += `${icon[task.action]} L${task.line} ${task.title}${task.task_id ? ` *(${task.task_id})*` : ''}\n`;
+      });
+
+      if (result.dry_run) {
+        text += `\nCall import_plan() again without dry_run to apply.`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: result
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Plan import failed, nothing was applied: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async exportPlan(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const result = await this.db.exportPlan(args.project_path, { branch, output_dir: args.output_dir });
+
+      let text = `📤 **Plan Exported** to ${result.output_dir}\n\n` +
+                 `**Written:** ${result.written.length} | **Unchanged:** ${result.unchanged.length} | **Removed:** ${result.removed.length}\n`;
+      result.written.forEach(path => {
+        text += `- ✏️ ${path}\n`;
+      });
+      result.removed.forEach(path => {
+        text += `- 🗑️ ${path}\n`;
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: result
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Plan export failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async search(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const result = await this.db.search(args.project_path, {
+        query: args.query, branch, limit: args.limit, cursor: args.cursor, max_chars: args.max_chars
+      });
+
+      const typeIcon = { 'task': '📋', 'decision': '🎯', 'blocker': '🚧', 'file_mapping': '📁' };
+      let text = `🔎 **Search:** \`${args.query}\` - ${result.total} hit${result.total === 1 ? '' : 's'}`;
+      if (result.results.length < result.total) {
+        text += ` (showing ${result.offset + 1}-${result.offset + result.results.length})`;
+      }
+      text += `\n\n`;
+
+      if (result.results.length === 0) {
+        text += `No matches. Try a prefix query such as \`auth*\` or drop a facet.`;
+      }
+      result.results.forEach((hit, index) => {
+        text += `${result.offset + index + 1}. ${typeIcon[hit.entity_type] || '•'} ${hit.title}${hit.status ? ` [${hit.status}]` : ''} *(${hit.entity_id})*\n`;
+        if (hit.snippet.trim()) {
+          text += `   ${hit.snippet.replace(/\s+/g, ' ').trim()}\n`;
+        }
+      });
+      if (result.next_cursor) {
+        text += `\nMore hits: pass cursor \`${result.next_cursor}\``;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: result
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Search failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async importSnapshot(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const result = await this.db.importSnapshot(args.project_path, {
+        branch,
+        source: args.source,
+        dry_run: args.dry_run === true,
+        actor: args.actor
+      });
+
+      const describe = (entry) => `${entry.table} ${entry.title ? `"${entry.title}"` : entry.id}`;
+      let text = `${result.dry_run ? '🔍 **Snapshot Import Preview**' : '📥 **Snapshot Imported**'}\n\n` +
+                 `**Created:** ${result.created.length} | **Updated:** ${result.updated.length} | ` +
+                 `**Unchanged:** ${result.unchanged} | **Conflicts:** ${result.conflicts.length}\n`;
+
+      if (result.conflicts.length > 0) {
+        text += `\n**⚠️ Conflicts (kept local version)**\n`;
+        result.conflicts.forEach(conflict => {
+          text += `- ${describe(conflict)}: local ${conflict.local_updated_at || 'unknown'}, snapshot ${conflict.snapshot_updated_at || 'unknown'}\n`;
+        });
+      }
+
+      if (result.dry_run) {
+        text += `\nCall import_snapshot() again without dry_run to apply.`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: result
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Snapshot import failed, nothing was applied: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async exportDependencyGraph(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const format = args.format || 'mermaid';
+      const graph = await this.db.getDependencyGraph(args.project_path, {
+        branch,
+        root_task_id: args.root_task_id,
+        direction: args.direction,
+        include_blockers: args.include_blockers === true
+      });
+      const rendered = this.db.renderDependencyGraph(graph, format);
+      const scope = graph.root_task_id ? ` (${graph.direction} of ${graph.root_task_id})` : '';
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🕸️ **Dependency Graph**${scope}: ${graph.nodes.length} nodes, ${graph.edges.length} edges\n\n` +
+                  '```' + format + '\n' + rendered.trimEnd() + '\n```'
+          }
+        ],
+        data: { format, graph: rendered, nodes: graph.nodes, edges: graph.edges }
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Graph export failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async nextTask(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const recommendation = await this.db.recommendNextTask(args.project_path, {
+        branch,
+        assignee: args.assignee,
+        start: args.start === true,
+        actor: args.actor
+      });
+
+      if (!recommendation.candidate) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `**No Task Ready**\n\n` +
+                    `Every todo task is waiting on unfinished dependencies, or there are none. Use plan_analysis() to see what is holding work up.`
+            }
+          ],
+          data: recommendation
+        };
+      }
+
+      const { task, score, reasons } = recommendation.candidate;
+      let text = `${recommendation.started ? '🚀 **Started' : '🎯 **Next'} Task:** ${task.title} *(${task.id})*\n\n`;
+      if (task.description) {
+        text += `${task.description}\n\n`;
+      }
+      text += `**Why** (score ${score}):\n`;
+      reasons.forEach(reason => {
+        text += `- ${reason}\n`;
+      });
+
+      if (recommendation.alternatives.length > 0) {
+        text += `\n**Alternatives**\n`;
+        recommendation.alternatives.forEach(alternative => {
+          text += `- ${alternative.task.title} [${alternative.task.priority}] - score ${alternative.score} *(${alternative.task.id})*\n`;
+        });
+      }
+
+      text += recommendation.started
+        ? `\nTask is now in-progress${task.assignee ? ` for ${task.assignee}` : ''}.`
+        : `\nCall next_task() with start: true, or update_task_status(), to begin.`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: recommendation
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Next task failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async planAnalysis(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const analysis = await this.db.analyzePlan(args.project_path, branch);
+
+      if (analysis.order.length === 0 && analysis.cycles.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `**No Tasks To Analyze**\n\nUse update_task_status() to create tasks and manage_task_dependencies() to order them.`
+            }
+          ],
+          data: analysis
+        };
+      }
+
+      const severityIcon = { 'critical': '🔴', 'high': '🟠', 'medium': '🟡', 'low': '🟢' };
+      let text = `**Plan Analysis**\n\n`;
+
+      if (analysis.cycles.length > 0) {
+        text += `⚠️ **Dependency cycle** between: ${analysis.cycles.map(task => task.title).join(', ')}\n\n`;
+      }
+
+      text += `**Critical Path** (${analysis.critical_path.total_hours}h of remaining work)\n`;
+      if (analysis.critical_path.tasks.length > 0) {
+        analysis.critical_path.tasks.forEach((task, index) => {
+          text += `${index + 1}. ${task.title} [${task.status}] ` +
+                  `(${task.duration_hours === null ? 'no estimate' : `${task.duration_hours}h`})\n`;
+        });
+      } else {
+        text += `All tasks on the longest chain are completed.\n`;
+      }
+
+      text += `\n**Ready to Start (${analysis.ready.length})**\n`;
+      analysis.ready.forEach(task => {
+        text += `- ${task.title} [${task.priority}] *(${task.id})*\n`;
+      });
+      if (analysis.ready.length === 0) {
+        text += `Nothing is ready - finish in-progress work or clear blockers first.\n`;
+      }
+
+      if (analysis.held.length > 0) {
+        text += `\n**Held Up by Blockers (${analysis.held.length})**\n`;
+        analysis.held.forEach(task => {
+          const reasons = task.blockers.map(blocker =>
+            `${severityIcon[blocker.severity] || '⚪'} ${blocker.title}` +
+            (blocker.via_task_id !== task.id ? ` (via ${blocker.via_task_id})` : '')
+          );
+          text += `- ${task.title} [${task.status}] ← ${reasons.join(', ')}\n`;
+        });
+      }
+
+      text += `\n**Execution Order**\n`;
+      analysis.order.forEach((task, index) => {
+        text += `${index + 1}. ${task.status === 'completed' ? '~~' : ''}${task.title}${task.status === 'completed' ? '~~' : ''} ` +
+                `[${task.status}] *(level ${task.level})*\n`;
+      });
+
+      if (analysis.unestimated.length > 0) {
+        text += `\n*${analysis.unestimated.length} open tasks have no usable estimate and count as 0h on the critical path.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: analysis
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Plan analysis failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async effortReport(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const report = await this.db.getEffortReport(args.project_path, { branch, scope: args.scope });
+
+      if (report.completed_tasks === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `**No Effort Data**\n\nNo completed tasks have an estimate or logged time yet. ` +
+                    `Set estimated_effort on tasks and use the start/stop actions of update_task_status to log time.`
+            }
+          ],
+          data: report
+        };
+      }
+
+      const formatGroups = (groups) => {
+        let table = `| Group | Tasks | Est. hours | Actual hours | Actual/Est. | Est. points | Hours/point | Unestimated hours |\n` +
+                    `|-------|-------|------------|--------------|-------------|-------------|-------------|-------------------|\n`;
+        groups.forEach(group => {
+          table += `| ${group.group} | ${group.tasks} | ${group.hours.estimated} | ${group.hours.actual} | ` +
+                   `${group.hours.actual_to_estimate ?? '-'} | ${group.points.estimated} | ` +
+                   `${group.points.hours_per_point ?? '-'} | ${group.unestimated_hours} |\n`;
+        });
+        return table;
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `**Effort Report** (${report.scope === 'all' ? 'all projects' : 'current project'}, ${report.completed_tasks} completed tasks)\n\n` +
+                  `**By Assignee**\n\n${formatGroups(report.by_assignee)}\n` +
+                  `**By Project Type**\n\n${formatGroups(report.by_project_type)}\n` +
+                  `Actual/Est. above 1 means tasks took longer than estimated.`
+          }
+        ],
+        data: report
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Effort report failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
 
-      try {
-        switch (name) {
-          case 'get_current_context':
-            return await this.getCurrentContext(args);
-          
-          case 'initialize_context':
-            return await this.initializeContext(args);
-          
-          case 'query_context':
-            return await this.queryContext(args);
-          
-          case 'clear_context':
-            return await this.clearContext(args);
-          
-          case 'update_task_status':
-            return await this.updateTaskStatus(args);
-          
-          case 'record_decision':
-            return await this.recordDecision(args);
-          
-          case 'debug_database_location':
-            return await this.debugDatabaseLocation(args);
+  async startSession(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const session = await this.db.startSession(args.project_path, { branch, actor: args.actor, goal: args.goal });
 
-          case 'map_relevant_code':
-            return await this.mapRelevantCode(args);
+      let text = `🟢 Session started!\n\n**Session ID:** ${session.session_id}\n**Started:** ${session.started_at}\n` +
+                 (session.goal ? `**Goal:** ${session.goal}\n` : '') +
+                 (session.closed_stale_session ? `\n*The previous session ${session.closed_stale_session} was never ended and has been closed.*\n` : '') +
+                 `\n`;
 
-          case 'manage_task_dependencies':
-            return await this.manageTaskDependencies(args);
+      text += session.since_last_session
+        ? this.formatSessionDigest(session.since_last_session)
+        : `This is the first session for this project.\n\n`;
 
-          case 'manage_blockers':
-            return await this.manageBlockers(args);
+      text += `Call end_session with a handoff note before the conversation ends.`;
 
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error executing ${name}: ${error.message}`
-            }
-          ],
-          isError: true
-        };
-      }
-    });
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: session
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Session start failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
   }
 
-  // Tool implementations
-  async getCurrentContext(args) {
-    const branch = args.branch || await this.detectGitBranch(args.project_path);
-    const context = await this.db.getCurrentContext(args.project_path, branch);
-    
-    if (!context) {
+  async endSession(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const session = await this.db.endSession(args.project_path, {
+        branch,
+        handoff_note: args.handoff_note,
+        next_steps: args.next_steps
+      });
+
       return {
         content: [
           {
             type: 'text',
-            text: 'No project context found. Call initialize_context() after gathering project requirements and goals from the user.'
+            text: `🔴 Session ended!\n\n**Session ID:** ${session.session_id}\n**Started:** ${session.started_at}\n**Ended:** ${session.ended_at}\n\n` +
+                  `**Activity:**\n${this.formatSessionActivity(session.activity)}\n` +
+                  `The handoff note will be shown by get_current_context and start_session next time.`
           }
-        ]
+        ],
+        data: session
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Session end failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
       };
     }
+  }
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Project context loaded:\\n\\n**Goal:** ${context.goal}\\n**Status:** ${context.status}\\n**Branch:** ${context.branch}\\n**Last Updated:** ${context.updated_at}\\n\\nUse query_context() to get specific details about tasks, decisions, or relevant files.`
-        }
-      ]
-    };
+  formatSessionDigest({ last_session, changes_since }) {
+    let text = `**Since your last session** (ended ${last_session.ended_at}${last_session.actor ? ` by ${last_session.actor}` : ''})\n\n`;
+
+    if (last_session.handoff_note) {
+      text += `**Handoff note:** ${last_session.handoff_note}\n`;
+    }
+    if (last_session.next_steps && last_session.next_steps.length > 0) {
+      text += `**Next steps:**\n${last_session.next_steps.map(step => `- ${step}`).join('\n')}\n`;
+    }
+
+    text += `\n**Last session did:**\n${this.formatSessionActivity(last_session.activity)}\n`;
+
+    if (changes_since.total_changes > 0) {
+      text += `**Changed since then:**\n${this.formatSessionActivity(changes_since)}\n`;
+    }
+
+    return text;
+  }
+
+  formatSessionActivity(activity) {
+    const lines = [];
+
+    if (activity.tasks_touched.length > 0) {
+      lines.push(`- Tasks touched (${activity.tasks_touched.length}): ` +
+                 activity.tasks_touched.map(task => `${task.title} [${task.status}]`).join(', '));
+    }
+    if (activity.decisions_made.length > 0) {
+      lines.push(`- Decisions made (${activity.decisions_made.length}): ` +
+                 activity.decisions_made.map(decision => decision.title).join(', '));
+    }
+    if (activity.files_mapped.length > 0) {
+      lines.push(`- Files mapped (${activity.files_mapped.length}): ` +
+                 activity.files_mapped.map(file => file.file_path).join(', '));
+    }
+    if (activity.blockers_raised.length > 0) {
+      lines.push(`- Blockers raised (${activity.blockers_raised.length}): ` +
+                 activity.blockers_raised.map(blocker => `${blocker.title} [${blocker.severity}]`).join(', '));
+    }
+    if (activity.blockers_resolved.length > 0) {
+      lines.push(`- Blockers resolved (${activity.blockers_resolved.length}): ` +
+                 activity.blockers_resolved.map(blocker => blocker.title).join(', '));
+    }
+
+    return lines.length > 0 ? lines.join('\n') + '\n' : 'No recorded changes.\n';
   }
 
   async initializeContext(args) {
     const result = await this.db.initializeContext(args);
+    const project = await this.db.getRecord(args.project_path, 'projects', result.project_id);
     
     return {
       content: [
         {
           type: 'text',
-          text: `Project context initialized successfully!\\n\\n**Project ID:** ${result.project_id}\\n**Goal:** ${args.goal}\\n**Branch:** ${args.branch}\\n**Type:** ${args.project_type || 'other'}\\n\\nContext is now active and ready for development work.`
+          text: `Project context initialized successfully!\n\n**Project ID:** ${result.project_id}\n**Goal:** ${args.goal}\n**Branch:** ${args.branch}\n**Type:** ${args.project_type || 'other'}\n` +
+                (result.forked_from ? `**Forked From:** ${args.fork_from}\n` : '') +
+                `\nContext is now active and ready for development work.`
         }
-      ]
+      ],
+      data: { ...result, project }
     };
   }
 
   async queryContext(args) {
-    const results = await this.db.queryContext(args.project_path, args.query_type, args.filter);
+    const branch = await this.resolveBranch(args);
+
+    if (args.output_format === 'json') {
+      // Skip building Markdown that would only be discarded
+      return {
+        content: [],
+        data: await this.db.queryContextData(args.project_path, args.query_type, args.filter, branch, this.getQueryOptions(args))
+      };
+    }
+
+    const results = await this.db.queryContext(args.project_path, args.query_type, args.filter, branch, this.getQueryOptions(args));
     
     return {
       content: [
@@ -515,47 +2267,81 @@ class AIReasoningFrameworkServer {
     };
   }
 
+  getQueryOptions(args) {
+    const { limit, cursor, max_chars, detail, stale_days, include_superseded } = args;
+    return { limit, cursor, max_chars, detail, stale_days, include_superseded };
+  }
+
   async clearContext(args) {
-    if (!args.confirm) {
+    const branch = await this.resolveBranch(args);
+
+    // Without confirmation of a previewed plan, report exactly what would be removed
+    const result = await this.db.clearContext(args.project_path, args.scope, branch, {
+      dry_run: !args.confirm || !args.plan_hash,
+      plan_hash: args.plan_hash || null
+    });
+
+    if (result.plan.projects.length === 0) {
       return {
         content: [
           {
             type: 'text',
-            text: 'Context clearing requires explicit confirmation. Set confirm: true to proceed.'
+            text: `Nothing to clear: ${result.message}.`
           }
-        ]
+        ],
+        data: result
       };
     }
 
-    const result = await this.db.clearContext(args.project_path, args.scope);
-    
+    let text = result.dry_run
+      ? `**Clear Context Preview (dry run)**\n\n${result.plan_changed ? '⚠️ ' : ''}${result.message}.\n\n`
+      : `Context cleared: ${result.message}. Removed ${result.count} records; use the trash tool to restore them.\n\n`;
+
+    text += `**Projects:**\n`;
+    result.plan.projects.forEach(project => {
+      text += `- ${project.name} [${project.branch}, ${project.status}] (${project.id})\n`;
+    });
+
+    text += `\n**Rows per table:**\n`;
+    Object.entries(result.counts).forEach(([table, count]) => {
+      text += `- ${table}: ${count}\n`;
+    });
+
+    if (result.dry_run) {
+      text += `\nContext clearing requires explicit confirmation. Set confirm: true and plan_hash: "${result.plan.plan_hash}" to proceed with this plan.`;
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: `Context cleared: ${result.message}. Removed ${result.count} records.`
+          text
         }
-      ]
+      ],
+      data: result
     };
   }
 
   async updateTaskStatus(args) {
     try {
-      const result = await this.db.updateTaskStatus(args.project_path, args);
+      const branch = await this.resolveBranch(args);
+      const result = await this.db.updateTaskStatus(args.project_path, { ...args, branch });
       
       let message = '';
       switch (result.action) {
         case 'created':
-          message = `✅ Task created successfully!\\n\\n**Task ID:** ${result.task_id}\\n**Title:** ${result.title}\\n**Status:** ${result.status}`;
+          message = `✅ Task created successfully!\n\n**Task ID:** ${result.task_id}\n**Title:** ${result.title}\n**Status:** ${result.status}` +
+                    (result.parent_task_id ? `\n**Parent Task:** ${result.parent_task_id}` : '');
           break;
         case 'updated':
-          message = `✅ Task updated successfully!\\n\\n**Task ID:** ${result.task_id}\\n**Fields Updated:** ${result.fields_updated.join(', ')}`;
+          message = `✅ Task updated successfully!\n\n**Task ID:** ${result.task_id}\n**Fields Updated:** ${result.fields_updated.join(', ')}`;
           break;
         case 'completed':
-          message = `🎉 Task completed successfully!\\n\\n**Task ID:** ${result.task_id}\\n**Completed:** ${result.completed_at}`;
+          message = `🎉 Task completed successfully!\n\n**Task ID:** ${result.task_id}\n**Completed:** ${result.completed_at}` +
+                    (result.cascaded ? `\n**Subtasks Completed:** ${result.cascaded.length}` : '');
           break;
         case 'deleted':
-          message = `🗑️ Task deleted successfully!\\n\\n**Task ID:** ${result.task_id}`;
+          message = `🗑️ Task moved to trash!\n\n**Task ID:** ${result.task_id}\n\nUse the trash tool to restore it.`;
           break;
         default:
           message = `Task ${result.action} successfully! ID: ${result.task_id}`;
@@ -567,7 +2353,8 @@ class AIReasoningFrameworkServer {
             type: 'text',
             text: message
           }
-        ]
+        ],
+        data: { ...result, task: await this.db.getRecord(args.project_path, 'tasks', result.task_id) }
       };
     } catch (error) {
       return {
@@ -577,22 +2364,27 @@ class AIReasoningFrameworkServer {
             text: `❌ Task operation failed: ${error.message}`
           }
         ],
-        isError: true
+        isError: true,
+        error: error.message
       };
     }
   }
 
   async recordDecision(args) {
     try {
-      const result = await this.db.recordDecision(args.project_path, args);
+      const branch = await this.resolveBranch(args);
+      const result = await this.db.recordDecision(args.project_path, { ...args, branch });
       
       return {
         content: [
           {
             type: 'text',
-            text: `📝 Decision recorded successfully!\\n\\n**Decision ID:** ${result.decision_id}\\n**Type:** ${result.decision_type}\\n**Title:** ${result.title}\\n\\nThis decision will help prevent regression and maintain consistency across agent sessions.`
+            text: `📝 Decision recorded successfully!\n\n**Decision ID:** ${result.decision_id}\n**Type:** ${result.decision_type}\n**Title:** ${result.title}\n` +
+                  `${result.supersedes ? `**Supersedes:** ${result.supersedes} (now marked superseded)\n` : ''}` +
+                  `\nThis decision will help prevent regression and maintain consistency across agent sessions.`
           }
-        ]
+        ],
+        data: { ...result, decision: await this.db.getRecord(args.project_path, 'decisions', result.decision_id) }
       };
     } catch (error) {
       return {
@@ -602,7 +2394,46 @@ class AIReasoningFrameworkServer {
             text: `❌ Decision recording failed: ${error.message}`
           }
         ],
-        isError: true
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async decisionLineage(args) {
+    try {
+      const branch = await this.resolveBranch(args);
+      const result = await this.db.getDecisionLineage(args.project_path, args.decision_id, branch);
+
+      let text = `🧬 **Decision Lineage** (${result.chain.length} revision${result.chain.length === 1 ? '' : 's'})\n\n`;
+      result.chain.forEach((decision, index) => {
+        // Only the last revision is still in force
+        const title = decision.id === result.current_decision_id ? `✅ **${decision.title}**` : `~~${decision.title}~~`;
+        text += `${index + 1}. ${title} [${decision.decision_type}] *(${decision.id})*\n`;
+        text += `   ${decision.description}\n`;
+        text += `   *Decided: ${decision.decision_date}${decision.made_by && decision.made_by !== 'agent' ? ` by ${decision.made_by}` : ''}*\n`;
+      });
+      text += `\n**In force:** ${result.current_decision_id}`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: result
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Decision lineage failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
       };
     }
   }
@@ -630,7 +2461,14 @@ class AIReasoningFrameworkServer {
                 `- database.db exists: ${dbExists}\n\n` +
                 `This is where the framework will create/look for project context.`
         }
-      ]
+      ],
+      data: {
+        project_path: projectPath,
+        planning_dir: expectedPlanningDir,
+        database_path: expectedDbPath,
+        planning_exists: planningExists,
+        database_exists: dbExists
+      }
     };
   }
 
@@ -643,16 +2481,17 @@ class AIReasoningFrameworkServer {
         throw new Error('project_path, file_path, and analysis are required');
       }
 
-      const db = await this.db.getDatabase(project_path);
+      const branch = await this.resolveBranch(args);
+      const db = await this.db.getProjectDatabase(project_path);
       
-      // Check if project exists
-      const project = await db.get('SELECT id FROM projects WHERE path = ?', [project_path]);
+      // Check if project exists for this branch
+      const project = await this.db.getCurrentActiveProject(db, branch);
       if (!project) {
         throw new Error('Project not found. Initialize context first with initialize_context()');
       }
 
       // Map the file
-      const result = await this.db.mapRelevantCode(db, project.id, file_path, analysis);
+      const result = await this.db.mapRelevantCode(db, project.id, file_path, analysis, args.actor);
 
       return {
         content: [
@@ -671,7 +2510,11 @@ class AIReasoningFrameworkServer {
                     `**Analysis:** ${analysis.analysis_summary}\n\n` : '') +
                   `File mapping updated. Use query_context with 'files' to view all mapped files.`
           }
-        ]
+        ],
+        data: {
+          ...result,
+          file_mapping: this.db.parseJsonColumns('file_mappings', await this.db.getRow(db, 'file_mappings', result.file_id))
+        }
       };
     } catch (error) {
       return {
@@ -681,20 +2524,21 @@ class AIReasoningFrameworkServer {
             text: `❌ File mapping failed: ${error.message}`
           }
         ],
-        isError: true
+        isError: true,
+        error: error.message
       };
     }
   }
 
   async manageTaskDependencies(args) {
     try {
-      const { project_path, action, parent_task_id, child_task_id, task_id, dependency_type = 'blocks' } = args;
+      const { project_path, action, parent_task_id, child_task_id, task_id, dependency_type = 'blocks', actor } = args;
 
       if (!project_path) {
         throw new Error('project_path is required');
       }
 
-      const branch = await this.detectGitBranch(project_path);
+      const branch = await this.resolveBranch(args);
       const context = await this.db.getCurrentContext(project_path, branch);
       
       if (!context) {
@@ -709,7 +2553,7 @@ class AIReasoningFrameworkServer {
             throw new Error('parent_task_id and child_task_id are required for add action');
           }
           
-          const addResult = await this.db.addTaskDependency(db, context.id, parent_task_id, child_task_id, dependency_type);
+          const addResult = await this.db.addTaskDependency(db, context.id, parent_task_id, child_task_id, dependency_type, actor);
           
           return {
             content: [
@@ -719,9 +2563,11 @@ class AIReasoningFrameworkServer {
                       `**Dependency Type:** ${dependency_type}\n` +
                       `**Parent Task:** ${parent_task_id}\n` +
                       `**Child Task:** ${child_task_id}\n\n` +
-                      `The child task is now ${dependency_type === 'blocks' ? 'blocked by' : 'dependent on'} the parent task.`
+                      `From now on ${DEPENDENCY_TYPES[dependency_type].description}.` +
+                      (addResult.closed_duplicate ? `\n\n🔁 The child task was closed as a duplicate.` : '')
               }
-            ]
+            ],
+            data: { ...addResult, dependency: await this.db.getRow(db, 'task_dependencies', addResult.dependency_id) }
           };
 
         case 'remove':
@@ -729,7 +2575,7 @@ class AIReasoningFrameworkServer {
             throw new Error('parent_task_id and child_task_id are required for remove action');
           }
           
-          const removeResult = await this.db.removeTaskDependency(db, parent_task_id, child_task_id, dependency_type);
+          const removeResult = await this.db.removeTaskDependency(db, context.id, parent_task_id, child_task_id, dependency_type, actor);
           
           return {
             content: [
@@ -737,7 +2583,8 @@ class AIReasoningFrameworkServer {
                 type: 'text',
                 text: `${removeResult.success ? '✅' : '❌'} ${removeResult.message}`
               }
-            ]
+            ],
+            data: removeResult
           };
 
         case 'query':
@@ -745,6 +2592,7 @@ class AIReasoningFrameworkServer {
             throw new Error('task_id is required for query action');
           }
           
+          await this.db.assertProjectTask(db, context, task_id);
           const dependencies = await this.db.getTaskDependencies(db, task_id);
           
           let result = `**Task Dependencies for ${task_id}**\n\n`;
@@ -775,7 +2623,8 @@ class AIReasoningFrameworkServer {
                 type: 'text',
                 text: result
               }
-            ]
+            ],
+            data: dependencies
           };
 
         case 'check_circular':
@@ -783,6 +2632,8 @@ class AIReasoningFrameworkServer {
             throw new Error('parent_task_id and child_task_id are required for check_circular action');
           }
           
+          await this.db.assertProjectTask(db, context, parent_task_id);
+          await this.db.assertProjectTask(db, context, child_task_id);
           const wouldCreateCircle = await this.db.wouldCreateCircularDependency(db, parent_task_id, child_task_id);
           
           return {
@@ -793,7 +2644,8 @@ class AIReasoningFrameworkServer {
                   ? `⚠️ Adding this dependency would create a circular dependency!`
                   : `✅ Safe to add dependency: ${parent_task_id} -> ${child_task_id}`
               }
-            ]
+            ],
+            data: { parent_task_id, child_task_id, would_create_cycle: wouldCreateCircle }
           };
 
         default:
@@ -808,7 +2660,8 @@ class AIReasoningFrameworkServer {
             text: `❌ Task dependency operation failed: ${error.message}`
           }
         ],
-        isError: true
+        isError: true,
+        error: error.message
       };
     }
   }
@@ -818,14 +2671,14 @@ class AIReasoningFrameworkServer {
       const { 
         project_path, action, blocker_id, title, description, blocker_type, severity, 
         status, owner, external_ref, resolution_notes, task_id, impact_type, 
-        impact_description, estimated_delay, filter 
+        impact_description, estimated_delay, filter, actor 
       } = args;
 
       if (!project_path) {
         throw new Error('project_path is required');
       }
 
-      const branch = await this.detectGitBranch(project_path);
+      const branch = await this.resolveBranch(args);
       const context = await this.db.getCurrentContext(project_path, branch);
       
       if (!context) {
@@ -841,7 +2694,7 @@ class AIReasoningFrameworkServer {
           }
           
           const createResult = await this.db.createBlocker(db, context.id, {
-            title, description, blocker_type, severity, owner, external_ref
+            title, description, blocker_type, severity, owner, external_ref, created_by: actor
           });
           
           return {
@@ -858,7 +2711,8 @@ class AIReasoningFrameworkServer {
                       (external_ref ? `**Reference:** ${external_ref}\n` : '') +
                       `\nUse manage_blockers with 'add_impact' action to link this blocker to affected tasks.`
               }
-            ]
+            ],
+            data: { ...createResult, blocker: await this.db.getRow(db, 'blockers', createResult.blocker_id) }
           };
 
         case 'update':
@@ -876,7 +2730,7 @@ class AIReasoningFrameworkServer {
           if (external_ref !== undefined) updates.external_ref = external_ref;
           if (resolution_notes !== undefined) updates.resolution_notes = resolution_notes;
           
-          const updateResult = await this.db.updateBlocker(db, blocker_id, updates);
+          const updateResult = await this.db.updateBlocker(db, blocker_id, updates, actor);
           
           return {
             content: [
@@ -887,7 +2741,8 @@ class AIReasoningFrameworkServer {
                       `**Updated Fields:** ${updateResult.updated_fields.join(', ')}\n\n` +
                       `Use query_context with 'blockers' to see all project blockers.`
               }
-            ]
+            ],
+            data: { ...updateResult, blocker: await this.db.getRow(db, 'blockers', blocker_id) }
           };
 
         case 'resolve':
@@ -898,7 +2753,7 @@ class AIReasoningFrameworkServer {
           const resolveUpdates = { status: 'resolved' };
           if (resolution_notes) resolveUpdates.resolution_notes = resolution_notes;
           
-          await this.db.updateBlocker(db, blocker_id, resolveUpdates);
+          await this.db.updateBlocker(db, blocker_id, resolveUpdates, actor);
           
           return {
             content: [
@@ -910,7 +2765,8 @@ class AIReasoningFrameworkServer {
                       (resolution_notes ? `**Resolution Notes:** ${resolution_notes}\n` : '') +
                       `\nAny tasks blocked by this issue can now proceed.`
               }
-            ]
+            ],
+            data: { blocker: await this.db.getRow(db, 'blockers', blocker_id) }
           };
 
         case 'delete':
@@ -918,15 +2774,16 @@ class AIReasoningFrameworkServer {
             throw new Error('blocker_id is required for delete action');
           }
           
-          const deleteResult = await this.db.deleteBlocker(db, blocker_id);
+          const deleteResult = await this.db.deleteBlocker(db, blocker_id, actor);
           
           return {
             content: [
               {
                 type: 'text',
-                text: `✅ Blocker deleted successfully!\n\n**Blocker ID:** ${blocker_id}`
+                text: `🗑️ Blocker moved to trash!\n\n**Blocker ID:** ${blocker_id}\n\nUse the trash tool to restore it.`
               }
-            ]
+            ],
+            data: { ...deleteResult, blocker_id }
           };
 
         case 'query':
@@ -943,7 +2800,8 @@ class AIReasoningFrameworkServer {
                   type: 'text',
                   text: `**No Blockers Found**\n\n${filter ? `Filter: ${filter}\n` : ''}Use manage_blockers with 'create' action to track project impediments.`
                 }
-              ]
+              ],
+              data: { total: 0, items: [] }
             };
           }
           
@@ -972,7 +2830,8 @@ class AIReasoningFrameworkServer {
                 type: 'text',
                 text: result
               }
-            ]
+            ],
+            data: { total: blockers.length, items: blockers }
           };
 
         case 'add_impact':
@@ -980,9 +2839,10 @@ class AIReasoningFrameworkServer {
             throw new Error('blocker_id and task_id are required for add_impact action');
           }
           
+          await this.db.assertProjectBlocker(db, context, blocker_id);
           const impactResult = await this.db.addBlockerImpact(db, blocker_id, task_id, {
             impact_type, impact_description, estimated_delay
-          });
+          }, actor);
           
           return {
             content: [
@@ -995,7 +2855,8 @@ class AIReasoningFrameworkServer {
                       (impact_description ? `**Description:** ${impact_description}\n` : '') +
                       (estimated_delay ? `**Estimated Delay:** ${estimated_delay} hours\n` : '')
               }
-            ]
+            ],
+            data: { ...impactResult, impact: await this.db.getRow(db, 'blocker_impacts', impactResult.impact_id) }
           };
 
         case 'remove_impact':
@@ -1003,7 +2864,8 @@ class AIReasoningFrameworkServer {
             throw new Error('blocker_id and task_id are required for remove_impact action');
           }
           
-          const removeResult = await this.db.removeBlockerImpact(db, blocker_id, task_id, impact_type);
+          await this.db.assertProjectBlocker(db, context, blocker_id);
+          const removeResult = await this.db.removeBlockerImpact(db, blocker_id, task_id, impact_type, actor);
           
           return {
             content: [
@@ -1011,7 +2873,8 @@ class AIReasoningFrameworkServer {
                 type: 'text',
                 text: `${removeResult.success ? '✅' : '❌'} ${removeResult.message}`
               }
-            ]
+            ],
+            data: removeResult
           };
 
         default:
@@ -1026,11 +2889,241 @@ class AIReasoningFrameworkServer {
             text: `❌ Blocker management failed: ${error.message}`
           }
         ],
-        isError: true
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async mergeBranchContext(args) {
+    try {
+      const targetBranch = args.target_branch || await this.detectGitBranch(args.project_path);
+      const result = await this.db.mergeBranchContext(args.project_path, {
+        source_branch: args.source_branch,
+        target_branch: targetBranch,
+        conflict_strategy: args.conflict_strategy
+      });
+
+      let text = `🔀 Branch context merged!\n\n` +
+                 `**From:** ${result.source_branch} (${result.source_project_id})\n` +
+                 `**Into:** ${result.target_branch} (${result.target_project_id})\n\n` +
+                 `**Moved:**\n`;
+      Object.entries(result.moved).forEach(([table, count]) => {
+        text += `- ${table}: ${count}\n`;
+      });
+
+      if (result.conflicts.length > 0) {
+        text += `\n**Conflicts (${result.conflicts.length}):**\n`;
+        result.conflicts.forEach(conflict => {
+          text += `- ${conflict.file_path}: kept ${conflict.kept} mapping\n`;
+        });
+      }
+
+      text += `\nThe source project is now marked as merged. A single undo on the target branch reverses the merge.`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: result
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Branch merge failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async manageTrash(args) {
+    try {
+      const { project_path, action, entity_type, entity_id, confirm, actor } = args;
+      const branch = await this.resolveBranch(args);
+
+      switch (action) {
+        case 'list':
+          const trash = await this.db.listTrash(project_path, branch, entity_type);
+          const total = Object.values(trash).reduce((sum, rows) => sum + rows.length, 0);
+
+          if (total === 0) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: '**Trash is empty**'
+                }
+              ],
+              data: { total, trash }
+            };
+          }
+
+          let text = `**Trash (${total})**\n\n`;
+          Object.entries(trash).forEach(([type, rows]) => {
+            if (rows.length === 0) return;
+            text += `**${type.toUpperCase().replace('_', ' ')} (${rows.length})**\n`;
+            rows.forEach(row => {
+              text += `- ${row.title}${row.branch ? ` [${row.branch}]` : ''} *(deleted ${row.deleted_at})*\n  *ID: ${row.id}*\n`;
+            });
+            text += '\n';
+          });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text
+              }
+            ],
+            data: { total, trash }
+          };
+
+        case 'restore':
+          if (!entity_type || !entity_id) {
+            throw new Error('entity_type and entity_id are required for restore action');
+          }
+
+          const restored = await this.db.restoreFromTrash(project_path, entity_type, entity_id, branch, actor);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `♻️ Restored ${entity_type} ${entity_id}` +
+                      (entity_type === 'task'
+                        ? ` with ${restored.dependencies} dependencies and ${restored.blocker_impacts} blocker impacts`
+                        : '')
+              }
+            ],
+            data: { entity_type, entity_id, ...restored }
+          };
+
+        case 'purge':
+          if (!confirm) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: 'Purging permanently deletes trashed rows and cannot be undone. Set confirm: true to proceed.'
+                }
+              ],
+              data: { confirm_required: true }
+            };
+          }
+
+          const result = await this.db.purgeFromTrash(project_path, entity_type, entity_id, branch, actor);
+          const summary = Object.entries(result.purged)
+            .map(([type, count]) => `- ${type}: ${count}`)
+            .join('\n');
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `🔥 Trash purged permanently.\n\n${summary}`
+              }
+            ],
+            data: result
+          };
+
+        default:
+          throw new Error(`Unknown action: ${action}. Supported: list, restore, purge`);
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Trash operation failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
+      };
+    }
+  }
+
+  async replayOperations(direction, args) {
+    try {
+      const { project_path, steps = 1, actor } = args;
+      const branch = await this.resolveBranch(args);
+      const options = { steps, branch, actor };
+
+      const result = direction === 'undo'
+        ? await this.db.undoOperations(project_path, options)
+        : await this.db.redoOperations(project_path, options);
+
+      const icon = direction === 'undo' ? '↩️' : '↪️';
+      let text = `${icon} ${direction === 'undo' ? 'Undid' : 'Redid'} ${result.operations.length} operation(s)\n\n`;
+      result.operations.forEach(operation => {
+        text += `- ${operation.action} ${operation.entity_type.replace('_', ' ')} "${operation.label}"` +
+                `${operation.entries > 1 ? ` (${operation.entries} changes)` : ''} *(${operation.created_at})*\n`;
+      });
+      text += `\n*${result.remaining} more operation(s) available to ${direction}*`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ],
+        data: result
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${direction === 'undo' ? 'Undo' : 'Redo'} failed: ${error.message}`
+          }
+        ],
+        isError: true,
+        error: error.message
       };
     }
   }
 
+  formatToolResult(name, args, result) {
+    const { data = null, error = null, ...response } = result;
+
+    if (args.output_format !== 'json') {
+      return response;
+    }
+
+    // Stable shape: { tool, ok: true, data } on success, { tool, ok: false, error } on failure
+    const payload = response.isError
+      ? { tool: name, ok: false, error }
+      : { tool: name, ok: true, data };
+
+    return {
+      ...response,
+      content: [
+        {
+          type: 'resource',
+          resource: {
+            uri: `planning://results/${name}`,
+            mimeType: 'application/json',
+            text: JSON.stringify(payload, null, 2)
+          }
+        }
+      ]
+    };
+  }
+
+  async resolveBranch(args) {
+    // An explicit branch argument wins over whatever git reports
+    return args.branch || await this.detectGitBranch(args.project_path);
+  }
+
   async detectGitBranch(projectPath = null) {
     try {
       const { exec } = await import('child_process');